@@ -0,0 +1,38 @@
+-- Migration: Create authentication tables
+-- Adds password hashes to users and tracks issued refresh tokens so they can be rotated and revoked.
+-- Existing accounts have no password_hash; an admin issues them a one-time password setup token
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+
+-- Create refresh_tokens table if it doesn't exist
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT refresh_tokens_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create password_setup_tokens table if it doesn't exist
+CREATE TABLE IF NOT EXISTS password_setup_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    token_hash TEXT NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT password_setup_tokens_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT password_setup_tokens_token_hash_key UNIQUE (token_hash)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_password_setup_tokens_user_id ON password_setup_tokens(user_id);
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.password_hash IS 'scrypt hash in the form scrypt$<salt>$<hash>; NULL for accounts that cannot log in';
+COMMENT ON TABLE refresh_tokens IS 'Stores issued refresh tokens; the token JWT id is the row id';
+COMMENT ON TABLE password_setup_tokens IS 'One-time tokens that let an account without a password set one';
+COMMENT ON COLUMN password_setup_tokens.token_hash IS 'SHA-256 hex digest of the token; the token itself is only returned once, when issued';
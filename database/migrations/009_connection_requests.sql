@@ -0,0 +1,8 @@
+-- Migration: Connection requests
+-- New connections start as pending requests and only become 'connected' once accepted
+
+ALTER TABLE connections ALTER COLUMN status SET DEFAULT 'pending';
+
+-- Speed up incoming/outgoing request lookups
+CREATE INDEX IF NOT EXISTS idx_connections_to_user_status ON connections(to_user, status);
+CREATE INDEX IF NOT EXISTS idx_connections_from_user_status ON connections(from_user, status);
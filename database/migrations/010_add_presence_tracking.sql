@@ -0,0 +1,7 @@
+-- Migration: Add presence tracking to user_status
+-- disconnected_at is set when a user's last realtime presence stream closes, so they
+-- show as offline immediately instead of after the heartbeat window runs out
+
+ALTER TABLE user_status ADD COLUMN IF NOT EXISTS disconnected_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN user_status.disconnected_at IS 'Set when the last presence stream closes; the user is offline until last_seen moves past it';
@@ -0,0 +1,13 @@
+-- Migration: Add spatial indexes for nearby queries
+-- createNearbyCondition pre-filters with earth_box(...) @> ll_to_earth(latitude, longitude),
+-- which these GiST expression indexes can answer without a sequential scan
+
+CREATE EXTENSION IF NOT EXISTS cube;
+CREATE EXTENSION IF NOT EXISTS earthdistance;
+
+CREATE INDEX IF NOT EXISTS idx_locations_earth ON locations USING gist (ll_to_earth(latitude, longitude));
+CREATE INDEX IF NOT EXISTS idx_pings_earth ON pings USING gist (ll_to_earth(latitude, longitude));
+
+-- The btree position indexes cannot serve distance queries
+DROP INDEX IF EXISTS idx_locations_position;
+DROP INDEX IF EXISTS idx_pings_position;
@@ -0,0 +1,19 @@
+-- Migration: Create location history table
+-- locations keeps one row per user (the latest position); every update is also
+-- appended here and kept for the retention window in src/config/locationHistory.js
+
+CREATE TABLE IF NOT EXISTS location_history (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT location_history_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Serves both time-range reads for a user and retention purges
+CREATE INDEX IF NOT EXISTS idx_location_history_user_recorded ON location_history(user_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_location_history_recorded ON location_history(recorded_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE location_history IS 'Append-only trail of location updates; rows older than the retention window are purged';
@@ -0,0 +1,55 @@
+-- Migration: Create venues and venue-scoped pings
+-- A venue is a circle (center + radius) or a polygon (JSON array of {lat, lng}).
+-- min/max columns hold its bounding box so containment lookups can pre-filter in SQL;
+-- the exact shape test runs in src/venues.
+
+CREATE TABLE IF NOT EXISTS venues (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_user_id UUID NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    shape_type VARCHAR(20) NOT NULL CHECK (shape_type IN ('circle', 'polygon')),
+    center_latitude DOUBLE PRECISION,
+    center_longitude DOUBLE PRECISION,
+    radius_meters DOUBLE PRECISION,
+    polygon JSONB,
+    min_latitude DOUBLE PRECISION NOT NULL,
+    min_longitude DOUBLE PRECISION NOT NULL,
+    max_latitude DOUBLE PRECISION NOT NULL,
+    max_longitude DOUBLE PRECISION NOT NULL,
+    visibility VARCHAR(20) NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'connections', 'private')),
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT venues_owner_user_id_fkey FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT venues_circle_check CHECK (
+        shape_type != 'circle' OR (center_latitude IS NOT NULL AND center_longitude IS NOT NULL AND radius_meters > 0)
+    ),
+    CONSTRAINT venues_polygon_check CHECK (shape_type != 'polygon' OR polygon IS NOT NULL),
+    CONSTRAINT venues_schedule_check CHECK (starts_at IS NULL OR ends_at IS NULL OR starts_at < ends_at)
+);
+
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS venue_id UUID;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'pings_venue_id_fkey'
+    ) THEN
+        ALTER TABLE pings
+        ADD CONSTRAINT pings_venue_id_fkey FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_venues_bounds ON venues(min_latitude, max_latitude, min_longitude, max_longitude);
+CREATE INDEX IF NOT EXISTS idx_venues_owner ON venues(owner_user_id);
+CREATE INDEX IF NOT EXISTS idx_pings_venue_created ON pings(venue_id, created_at DESC) WHERE venue_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE venues IS 'Named geofenced zones (conferences, campuses) that pings can be attached to';
+COMMENT ON COLUMN venues.visibility IS 'public: everyone; connections: owner and connected users; private: owner only';
+COMMENT ON COLUMN pings.venue_id IS 'Venue the ping was posted to, if any; venue feeds ignore the nearby radius';
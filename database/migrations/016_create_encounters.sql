@@ -0,0 +1,37 @@
+-- Migration: Create privacy settings and crossed-paths encounters
+-- privacy_settings holds per-user privacy choices; a missing row means the defaults.
+-- encounters keeps one row per pair of users per UTC day. Only a grid-snapped
+-- place is stored, never either user's coordinates.
+
+CREATE TABLE IF NOT EXISTS privacy_settings (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    share_encounters BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS encounters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_a_id UUID NOT NULL,
+    user_b_id UUID NOT NULL,
+    encounter_date DATE NOT NULL,
+    encounter_count INTEGER NOT NULL DEFAULT 1,
+    first_encountered_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_encountered_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    approx_latitude DOUBLE PRECISION NOT NULL,
+    approx_longitude DOUBLE PRECISION NOT NULL,
+    CONSTRAINT encounters_user_a_id_fkey FOREIGN KEY (user_a_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT encounters_user_b_id_fkey FOREIGN KEY (user_b_id) REFERENCES users(id) ON DELETE CASCADE,
+    -- Pairs are stored once, with the smaller id first
+    CONSTRAINT encounters_ordered_pair CHECK (user_a_id < user_b_id),
+    CONSTRAINT encounters_pair_day_unique UNIQUE (user_a_id, user_b_id, encounter_date)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_encounters_user_a_last ON encounters(user_a_id, last_encountered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_encounters_user_b_last ON encounters(user_b_id, last_encountered_at DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE privacy_settings IS 'Per-user privacy choices; users without a row get the column defaults';
+COMMENT ON TABLE encounters IS 'Broadcasting users who were within the encounter distance of each other, per pair per day';
+COMMENT ON COLUMN encounters.approx_latitude IS 'Midpoint of the two users snapped to the encounter place grid';
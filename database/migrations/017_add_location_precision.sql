@@ -0,0 +1,22 @@
+-- Migration: Add location precision to privacy settings
+-- exact: others see true coordinates
+-- neighborhood: others see the center of a fixed grid cell (see src/config/privacy.js)
+-- distance: others see no coordinates, only a distance measured from the grid cell center
+
+ALTER TABLE privacy_settings
+ADD COLUMN IF NOT EXISTS location_precision VARCHAR(20) NOT NULL DEFAULT 'exact';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'privacy_settings_location_precision_check'
+    ) THEN
+        ALTER TABLE privacy_settings
+        ADD CONSTRAINT privacy_settings_location_precision_check
+        CHECK (location_precision IN ('exact', 'neighborhood', 'distance'));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN privacy_settings.location_precision IS 'How precisely other users see this user''s locations and pings';
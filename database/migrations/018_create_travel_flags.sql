@@ -0,0 +1,27 @@
+-- Migration: Create travel flags
+-- One row per location update or ping whose implied speed from the user's previous
+-- known position was implausible; action records whether it was accepted or rejected
+
+CREATE TABLE IF NOT EXISTS travel_flags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('location', 'ping')),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('accepted', 'rejected')),
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    previous_latitude DOUBLE PRECISION NOT NULL,
+    previous_longitude DOUBLE PRECISION NOT NULL,
+    previous_recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    distance_meters DOUBLE PRECISION NOT NULL,
+    elapsed_seconds DOUBLE PRECISION NOT NULL,
+    speed_kmh DOUBLE PRECISION NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT travel_flags_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_travel_flags_user_created ON travel_flags(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_travel_flags_created ON travel_flags(created_at DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE travel_flags IS 'Location updates and pings that implied impossible travel (possible spoofing)';
@@ -0,0 +1,21 @@
+-- Migration: Create job run history
+-- One row per background job run. Runs are serialized across instances with a
+-- Postgres advisory lock per job name, so at most one row per job is ever 'running'.
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_name VARCHAR(100) NOT NULL,
+    triggered_by VARCHAR(20) NOT NULL CHECK (triggered_by IN ('schedule', 'manual')),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE job_runs IS 'History of background job runs, scheduled and on-demand';
+COMMENT ON COLUMN job_runs.result IS 'Summary returned by the job, e.g. number of rows affected';
@@ -0,0 +1,23 @@
+-- Migration: Add per-ping expiry
+-- Pings used to be visible for a fixed window after creation. Each ping now carries
+-- its own expires_at, chosen by the author within server bounds, and can be edited.
+
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing pings keep the visibility they had under the old 15 minute window
+UPDATE pings
+SET expires_at = COALESCE(expires_at, created_at + INTERVAL '15 minutes'),
+    updated_at = COALESCE(updated_at, created_at)
+WHERE expires_at IS NULL OR updated_at IS NULL;
+
+ALTER TABLE pings ALTER COLUMN expires_at SET DEFAULT (CURRENT_TIMESTAMP + INTERVAL '15 minutes');
+ALTER TABLE pings ALTER COLUMN expires_at SET NOT NULL;
+ALTER TABLE pings ALTER COLUMN updated_at SET DEFAULT CURRENT_TIMESTAMP;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_pings_expires_at ON pings(expires_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN pings.expires_at IS 'Ping is hidden from nearby, map and venue feeds after this time';
+COMMENT ON COLUMN pings.updated_at IS 'Last time the author edited the ping';
@@ -0,0 +1,20 @@
+-- Migration: Create ping replies
+-- Replies form one flat thread under a ping and are deleted with it. Replies to an
+-- expired ping are kept but no longer served.
+
+CREATE TABLE IF NOT EXISTS ping_replies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    ping_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    message TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT ping_replies_ping_id_fkey FOREIGN KEY (ping_id) REFERENCES pings(id) ON DELETE CASCADE,
+    CONSTRAINT ping_replies_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_ping_replies_ping_created ON ping_replies(ping_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_ping_replies_user_id ON ping_replies(user_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE ping_replies IS 'Replies to pings, oldest first within a ping';
@@ -0,0 +1,39 @@
+-- Migration: Create direct messages
+-- One conversation per pair of users, stored as an ordered pair (user_a_id < user_b_id)
+-- like encounters. Messages can only be sent while the pair has a 'connected' row in
+-- connections; history stays readable afterwards unless either user blocks the other.
+
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_a_id UUID NOT NULL,
+    user_b_id UUID NOT NULL,
+    last_message_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT conversations_user_a_id_fkey FOREIGN KEY (user_a_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT conversations_user_b_id_fkey FOREIGN KEY (user_b_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT conversations_ordered_pair CHECK (user_a_id < user_b_id),
+    CONSTRAINT conversations_pair_unique UNIQUE (user_a_id, user_b_id)
+);
+
+CREATE TABLE IF NOT EXISTS direct_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    conversation_id UUID NOT NULL,
+    sender_id UUID NOT NULL,
+    recipient_id UUID NOT NULL,
+    message TEXT NOT NULL,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT direct_messages_conversation_id_fkey FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    CONSTRAINT direct_messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT direct_messages_recipient_id_fkey FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_conversations_user_a_last ON conversations(user_a_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_user_b_last ON conversations(user_b_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_direct_messages_conversation_created ON direct_messages(conversation_id, created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_direct_messages_unread ON direct_messages(recipient_id, conversation_id) WHERE read_at IS NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE conversations IS '1:1 direct message threads between two users';
+COMMENT ON TABLE direct_messages IS 'Messages in a conversation; read_at is set when the recipient marks them read';
@@ -0,0 +1,20 @@
+-- Migration: Create ping reactions
+-- Lightweight responses to a ping: a named type ('interested', 'on_my_way') or a
+-- single emoji. Each user can leave each type once per ping.
+
+CREATE TABLE IF NOT EXISTS ping_reactions (
+    ping_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    type VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (ping_id, user_id, type),
+    CONSTRAINT ping_reactions_ping_id_fkey FOREIGN KEY (ping_id) REFERENCES pings(id) ON DELETE CASCADE,
+    CONSTRAINT ping_reactions_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_ping_reactions_ping_created ON ping_reactions(ping_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ping_reactions_user_id ON ping_reactions(user_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE ping_reactions IS 'Reactions to pings, one per user per type; type is validated in src/reactions';
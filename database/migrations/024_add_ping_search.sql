@@ -0,0 +1,16 @@
+-- Migration: Add full-text search to pings
+-- search_vector is a generated column, so Postgres keeps it current on every insert
+-- and edit. The message is weighted above the profile item value. Queries must use
+-- the same 'english' configuration for the GIN index to apply.
+
+ALTER TABLE pings ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english'::regconfig, COALESCE(message, '')), 'A') ||
+        setweight(to_tsvector('english'::regconfig, COALESCE(value, '')), 'B')
+    ) STORED;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_pings_search_vector ON pings USING GIN (search_vector);
+
+-- Add comments for documentation
+COMMENT ON COLUMN pings.search_vector IS 'Full-text search document over message (weight A) and value (weight B)';
@@ -0,0 +1,112 @@
+// Benchmark the nearby condition against a plain earth_distance scan.
+//
+// Usage: DATABASE_URL=... node scripts/bench/nearby.js [rows] [radiusKm]
+//
+// Loads random points into a temporary table (dropped when the session ends),
+// runs both queries from several centers, checks they return the same rows and
+// prints timings. Run against a development database only.
+require('dotenv').config();
+const { pool, enablePostGISExtensions } = require('../../src/config/db');
+const { createNearbyCondition } = require('../../src/utils/geo');
+
+const ROWS = parseInt(process.argv[2], 10) || 1000000;
+const RADIUS_KM = parseFloat(process.argv[3]) || 1;
+const RUNS = 20;
+
+// Points are spread over a box around central Europe so results are non-empty
+const BOUNDS = { minLat: 45, maxLat: 55, minLng: 0, maxLng: 15 };
+
+const LEGACY_CONDITION = `
+    earth_distance(
+        ll_to_earth(bench_points.latitude, bench_points.longitude),
+        ll_to_earth($1, $2)
+    )::float <= ($3::float * 1000.0)
+`;
+
+const randomCenter = () => [
+    BOUNDS.minLat + Math.random() * (BOUNDS.maxLat - BOUNDS.minLat),
+    BOUNDS.minLng + Math.random() * (BOUNDS.maxLng - BOUNDS.minLng)
+];
+
+const timeQuery = async (client, condition, params) => {
+    const startedAt = process.hrtime.bigint();
+    const result = await client.query(
+        `SELECT id FROM bench_points WHERE ${condition} ORDER BY id`,
+        params
+    );
+    const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    return { ids: result.rows.map(row => row.id), elapsedMs };
+};
+
+const summarize = (timings) => {
+    const sorted = [...timings].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const p95 = sorted[Math.floor(sorted.length * 0.95)];
+    return `median ${median.toFixed(1)}ms, p95 ${p95.toFixed(1)}ms`;
+};
+
+async function main() {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Refusing to run the benchmark in production');
+    }
+
+    const client = await pool.connect();
+    try {
+        await enablePostGISExtensions(client);
+
+        console.log(`Loading ${ROWS} random points...`);
+        await client.query(`
+            CREATE TEMP TABLE bench_points (
+                id SERIAL PRIMARY KEY,
+                latitude DOUBLE PRECISION NOT NULL,
+                longitude DOUBLE PRECISION NOT NULL
+            )
+        `);
+        await client.query(
+            `INSERT INTO bench_points (latitude, longitude)
+             SELECT $2 + random() * ($3 - $2), $4 + random() * ($5 - $4)
+             FROM generate_series(1, $1)`,
+            [ROWS, BOUNDS.minLat, BOUNDS.maxLat, BOUNDS.minLng, BOUNDS.maxLng]
+        );
+        await client.query('CREATE INDEX ON bench_points USING gist (ll_to_earth(latitude, longitude))');
+        await client.query('ANALYZE bench_points');
+
+        const legacyTimings = [];
+        const indexedTimings = [];
+        let matchedRows = 0;
+
+        for (let run = 0; run < RUNS; run++) {
+            const params = [...randomCenter(), RADIUS_KM];
+            const legacy = await timeQuery(client, LEGACY_CONDITION, params);
+            const indexed = await timeQuery(client, createNearbyCondition('bench_points'), params);
+
+            if (legacy.ids.join(',') !== indexed.ids.join(',')) {
+                throw new Error(`Result mismatch for center ${params[0]}, ${params[1]}`);
+            }
+
+            legacyTimings.push(legacy.elapsedMs);
+            indexedTimings.push(indexed.elapsedMs);
+            matchedRows += indexed.ids.length;
+        }
+
+        const plan = await client.query(
+            `EXPLAIN SELECT id FROM bench_points WHERE ${createNearbyCondition('bench_points')}`,
+            [...randomCenter(), RADIUS_KM]
+        );
+
+        console.log(`Radius ${RADIUS_KM}km, ${RUNS} runs, ${(matchedRows / RUNS).toFixed(1)} rows per query on average`);
+        console.log(`earth_distance scan: ${summarize(legacyTimings)}`);
+        console.log(`earth_box + index:   ${summarize(indexedTimings)}`);
+        console.log('Results identical for every run');
+        console.log('\nQuery plan:');
+        plan.rows.forEach(row => console.log(`  ${row['QUERY PLAN']}`));
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Benchmark failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { verifyAccessToken } = require('./tokens');
+const { can, denialReason } = require('./policies');
+
+// Attach the authenticated user to req when a bearer token is present.
+// Requests without an Authorization header pass through; routes that need
+// a user must also use requireAuth.
+const authenticate = (req, res, next) => {
+    const header = req.headers.authorization;
+    if (!header) {
+        return next();
+    }
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            error: 'Invalid authorization header',
+            details: 'Authorization header must be in the form "Bearer <token>"'
+        });
+    }
+
+    try {
+        const payload = verifyAccessToken(token);
+        req.user = {
+            id: payload.sub,
+            email: payload.email
+        };
+        next();
+    } catch (err) {
+        return res.status(401).json({
+            error: 'Invalid token',
+            details: err.name === 'TokenExpiredError' ? 'Access token has expired' : 'Access token is invalid'
+        });
+    }
+};
+
+// Reject requests that were not authenticated
+const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            details: 'A valid access token must be provided in the Authorization header'
+        });
+    }
+    next();
+};
+
+// Restrict internal operations (account setup, webhooks, jobs) to callers holding ADMIN_API_KEY
+const requireAdmin = (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            details: 'Admin API is not configured'
+        });
+    }
+
+    const provided = Buffer.from(req.headers['x-admin-key'] || '');
+    const expected = Buffer.from(adminKey);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({
+            error: 'Invalid admin key',
+            details: 'A valid X-Admin-Key header is required'
+        });
+    }
+
+    next();
+};
+
+// Send the standard 403 response for a denied action
+const forbidden = (res, action) => {
+    return res.status(403).json({
+        error: 'Forbidden',
+        details: denialReason(action)
+    });
+};
+
+// Enforce a policy rule against a resource derived from the request.
+// Use after requireAuth; rules whose resource must be loaded from the
+// database call can() and forbidden() inside the route instead.
+const authorize = (action, getResource) => (req, res, next) => {
+    if (!can(req.user, action, getResource(req))) {
+        return forbidden(res, action);
+    }
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireAuth,
+    requireAdmin,
+    authorize,
+    forbidden
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Checked against when there is no usable stored hash, so unknown emails and
+// accounts without a password take as long to reject as a wrong password
+const DUMMY_SALT = crypto.randomBytes(16).toString('hex');
+
+/**
+ * Hashes a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the form "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash. Always derives a key, so a missing
+ * or malformed hash costs the same as a mismatch.
+ * @param {string} password - Plain text password
+ * @param {string|null} storedHash - Hash produced by hashPassword, or null when there is none
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        await scrypt(password, DUMMY_SALT, KEY_LENGTH);
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+// Validate password helper function
+const validatePassword = (password) => {
+    if (!password || typeof password !== 'string') {
+        return { valid: false, error: 'Password must be a string' };
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return { valid: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    return { valid: true };
+};
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    validatePassword
+};
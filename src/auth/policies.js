@@ -0,0 +1,106 @@
+// Authorization rules, keyed by action. Each check receives the authenticated
+// user and the resource being acted on (shaped like its database row) and
+// returns true when the action is allowed. Rules are plain functions so they
+// can be exercised without the HTTP layer.
+const rules = {
+    // resource: users row ({ id })
+    'profile:update': {
+        check: (user, profile) => user.id === profile.id,
+        reason: 'Only the profile owner may edit this profile'
+    },
+    // resource: users row ({ id }) whose connections are listed
+    'connections:read': {
+        check: (user, subject) => user.id === subject.id,
+        reason: 'Only a participant may view these connections'
+    },
+    // resource: { user_ids: [userId, otherUserId] } being compared
+    'connections:read-mutual': {
+        check: (user, pair) => pair.user_ids.includes(user.id),
+        reason: 'Only a participant may view mutual connections'
+    },
+    // resource: pending connections row ({ from_user, to_user })
+    'connection:respond': {
+        check: (user, request) => user.id === request.to_user,
+        reason: 'Only the recipient may accept or decline this connection request'
+    },
+    'connection:cancel': {
+        check: (user, request) => user.id === request.from_user,
+        reason: 'Only the sender may cancel this connection request'
+    },
+    // resource: validation_requests row ({ to_user_id })
+    'validation:respond': {
+        check: (user, request) => user.id === request.to_user_id,
+        reason: 'Only the recipient may respond to this validation request'
+    },
+    // resource: users row ({ id }) whose pending requests are listed
+    'validation:read-pending': {
+        check: (user, subject) => user.id === subject.id,
+        reason: 'Only the recipient may view pending validation requests'
+    },
+    // resource: notifications row ({ user_id })
+    'notification:update': {
+        check: (user, notification) => user.id === notification.user_id,
+        reason: 'Only the recipient may update this notification'
+    },
+    // resource: users row ({ id }) whose location trail is read
+    'location-history:read': {
+        check: (user, subject) => user.id === subject.id,
+        reason: 'Only the owner may view their location history'
+    },
+    // resource: users row ({ id }) whose encounters are listed
+    'encounters:read': {
+        check: (user, subject) => user.id === subject.id,
+        reason: 'Only the user may view the people they crossed paths with'
+    },
+    // resource: venues row ({ owner_user_id })
+    'venue:update': {
+        check: (user, venue) => user.id === venue.owner_user_id,
+        reason: 'Only the venue owner may change this venue'
+    },
+    // resource: pings row ({ user_id })
+    'ping:update': {
+        check: (user, ping) => user.id === ping.user_id,
+        reason: 'Only the author may change this ping'
+    },
+    'ping-reactions:read': {
+        check: (user, ping) => user.id === ping.user_id,
+        reason: 'Only the author may see who reacted to this ping'
+    },
+    // resource: live ping stream subscription ({ userId })
+    'ping-stream:update': {
+        check: (user, subscription) => user.id === subscription.userId,
+        reason: 'Only the subscriber may update this subscription'
+    }
+};
+
+/**
+ * Checks whether a user may perform an action on a resource
+ * @param {{id: string}|undefined} user - Authenticated user (req.user)
+ * @param {string} action - Key of a rule in this module
+ * @param {object} resource - Resource being acted on
+ * @returns {boolean} True if the action is allowed
+ */
+function can(user, action, resource) {
+    const rule = rules[action];
+    if (!rule) {
+        throw new Error(`Unknown authorization action: ${action}`);
+    }
+    if (!user || !resource) {
+        return false;
+    }
+    return rule.check(user, resource);
+}
+
+/**
+ * Returns the human readable reason an action was denied
+ * @param {string} action - Key of a rule in this module
+ * @returns {string} Denial reason
+ */
+function denialReason(action) {
+    return rules[action] ? rules[action].reason : 'You are not allowed to perform this action';
+}
+
+module.exports = {
+    can,
+    denialReason
+};
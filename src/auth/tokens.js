@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const {
+    accessTokenSecret,
+    refreshTokenSecret,
+    accessTokenTtlSeconds,
+    refreshTokenTtlSeconds
+} = require('../config/auth');
+
+/**
+ * Signs a short-lived access token for a user
+ * @param {{id: string, email: string}} user - Authenticated user
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user) {
+    return jwt.sign(
+        { email: user.email, type: 'access' },
+        accessTokenSecret,
+        { subject: user.id, expiresIn: accessTokenTtlSeconds }
+    );
+}
+
+/**
+ * Signs a refresh token bound to a refresh_tokens row
+ * @param {string} userId - Token owner
+ * @param {string} tokenId - Id of the refresh_tokens row
+ * @returns {string} Signed JWT
+ */
+function signRefreshToken(userId, tokenId) {
+    return jwt.sign(
+        { type: 'refresh' },
+        refreshTokenSecret,
+        { subject: userId, jwtid: tokenId, expiresIn: refreshTokenTtlSeconds }
+    );
+}
+
+/**
+ * Verifies an access token
+ * @param {string} token - Signed JWT
+ * @returns {object} Decoded payload
+ * @throws {Error} If the token is invalid, expired or not an access token
+ */
+function verifyAccessToken(token) {
+    const payload = jwt.verify(token, accessTokenSecret);
+    if (payload.type !== 'access') {
+        throw new jwt.JsonWebTokenError('Not an access token');
+    }
+    return payload;
+}
+
+/**
+ * Verifies a refresh token
+ * @param {string} token - Signed JWT
+ * @returns {object} Decoded payload
+ * @throws {Error} If the token is invalid, expired or not a refresh token
+ */
+function verifyRefreshToken(token) {
+    const payload = jwt.verify(token, refreshTokenSecret);
+    if (payload.type !== 'refresh' || !payload.jti) {
+        throw new jwt.JsonWebTokenError('Not a refresh token');
+    }
+    return payload;
+}
+
+module.exports = {
+    signAccessToken,
+    signRefreshToken,
+    verifyAccessToken,
+    verifyRefreshToken
+};
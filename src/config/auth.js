@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Secrets used to sign access and refresh tokens
+const accessTokenSecret = process.env.ACCESS_TOKEN_SECRET;
+const refreshTokenSecret = process.env.REFRESH_TOKEN_SECRET;
+
+if (!accessTokenSecret || !refreshTokenSecret) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('ACCESS_TOKEN_SECRET and REFRESH_TOKEN_SECRET must be set in production');
+    }
+    // Fall back to per-process secrets so development works without extra setup.
+    // Tokens will not survive a restart.
+    console.warn('Token secrets not configured - using temporary secrets for this process');
+}
+
+module.exports = {
+    accessTokenSecret: accessTokenSecret || crypto.randomBytes(32).toString('hex'),
+    refreshTokenSecret: refreshTokenSecret || crypto.randomBytes(32).toString('hex'),
+    // Access tokens are short lived, refresh tokens are rotated on every use
+    accessTokenTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60,
+    refreshTokenTtlSeconds: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 30 * 24 * 60 * 60,
+    // One-time tokens that let accounts without a password set one
+    passwordSetupTtlSeconds: parseInt(process.env.PASSWORD_SETUP_TTL_SECONDS, 10) || 7 * 24 * 60 * 60
+};
@@ -0,0 +1,12 @@
+// Grid clustering for zoomed-out map views. Zoom levels follow web map tiles:
+// zoom 0 shows the whole world in one 256px tile and each level doubles it.
+module.exports = {
+    maxZoom: 22,
+    // Grid cells per tile edge; 8 gives roughly 32px cells
+    cellsPerTile: parseInt(process.env.CLUSTER_CELLS_PER_TILE, 10) || 8,
+    // From this zoom level up, individual points are returned instead of clusters
+    pointsFromZoom: parseInt(process.env.CLUSTER_POINTS_FROM_ZOOM, 10) || 16,
+    // Caps on response size for very large viewports
+    maxClusters: parseInt(process.env.CLUSTER_MAX_CLUSTERS, 10) || 1000,
+    maxPoints: parseInt(process.env.CLUSTER_MAX_POINTS, 10) || 500
+};
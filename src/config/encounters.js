@@ -0,0 +1,17 @@
+// Crossed-paths detection. An encounter is recorded when a location update puts two
+// broadcasting users within distanceMeters of each other.
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+    distanceMeters: envNumber('ENCOUNTER_DISTANCE_METERS', 50),
+    // Only locations reported this recently count as being there now
+    locationMaxAgeMinutes: envNumber('ENCOUNTER_LOCATION_MAX_AGE_MINUTES', 5),
+    // Being near the same person again within this gap extends the last encounter
+    // instead of counting a new one
+    cooldownMinutes: envNumber('ENCOUNTER_COOLDOWN_MINUTES', 30),
+    // Places are reported on a grid of this size (0.01 degrees is about 1km)
+    placeGridDegrees: envNumber('ENCOUNTER_PLACE_GRID_DEGREES', 0.01)
+};
@@ -0,0 +1,29 @@
+// Schedules and thresholds for background jobs. Intervals are in seconds.
+module.exports = {
+    // Set JOBS_ENABLED=false to keep an instance from running scheduled jobs;
+    // jobs can still be triggered on demand through /jobs
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    // Run history older than this is deleted after each run
+    runHistoryDays: parseInt(process.env.JOB_RUN_HISTORY_DAYS, 10) || 30,
+    expireValidationRequests: {
+        intervalSeconds: parseInt(process.env.JOB_EXPIRE_VALIDATION_INTERVAL_SECONDS, 10) || 300
+    },
+    disableInactiveBroadcasting: {
+        intervalSeconds: parseInt(process.env.JOB_BROADCAST_INACTIVITY_INTERVAL_SECONDS, 10) || 60,
+        // Broadcasting is turned off for users not seen (heartbeat or presence stream) for this long
+        inactiveMinutes: parseInt(process.env.BROADCAST_INACTIVITY_MINUTES, 10) || 30
+    },
+    purgePings: {
+        intervalSeconds: parseInt(process.env.JOB_PURGE_PINGS_INTERVAL_SECONDS, 10) || 3600,
+        retentionDays: parseInt(process.env.PING_RETENTION_DAYS, 10) || 30,
+        batchSize: 1000
+    },
+    purgeUserStatus: {
+        intervalSeconds: parseInt(process.env.JOB_PURGE_USER_STATUS_INTERVAL_SECONDS, 10) || 24 * 3600,
+        // Status rows of users not broadcasting and not seen for this long are deleted
+        retentionDays: parseInt(process.env.USER_STATUS_RETENTION_DAYS, 10) || 90
+    },
+    purgeLocationHistory: {
+        intervalSeconds: parseInt(process.env.JOB_PURGE_LOCATION_HISTORY_INTERVAL_SECONDS, 10) || 3600
+    }
+};
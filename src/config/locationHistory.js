@@ -0,0 +1,10 @@
+// Retention and read limits for the location history trail
+module.exports = {
+    // Points older than this are purged and never returned
+    retentionDays: parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS, 10) || 30,
+    // Longer ranges are downsampled to at most this many points per response
+    maxPoints: {
+        default: parseInt(process.env.LOCATION_HISTORY_DEFAULT_POINTS, 10) || 500,
+        max: parseInt(process.env.LOCATION_HISTORY_MAX_POINTS, 10) || 2000
+    }
+};
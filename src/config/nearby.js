@@ -0,0 +1,34 @@
+// Server-side bounds for nearby queries. Requested values outside a range are
+// clamped to it, and the values actually used are echoed back to the client.
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+    pings: {
+        radiusKm: {
+            default: envNumber('PINGS_RADIUS_DEFAULT_KM', 1),
+            min: envNumber('PINGS_RADIUS_MIN_KM', 0.1),
+            max: envNumber('PINGS_RADIUS_MAX_KM', 25)
+        },
+        maxAgeMinutes: {
+            default: envNumber('PINGS_MAX_AGE_DEFAULT_MINUTES', 15),
+            min: envNumber('PINGS_MAX_AGE_MIN_MINUTES', 1),
+            max: envNumber('PINGS_MAX_AGE_MAX_MINUTES', 24 * 60)
+        },
+        // How long a ping stays visible, counted from its creation
+        durationMinutes: {
+            default: envNumber('PINGS_DURATION_DEFAULT_MINUTES', 15),
+            min: envNumber('PINGS_DURATION_MIN_MINUTES', 1),
+            max: envNumber('PINGS_DURATION_MAX_MINUTES', 24 * 60)
+        }
+    },
+    locations: {
+        radiusKm: {
+            default: envNumber('LOCATIONS_RADIUS_DEFAULT_KM', 1),
+            min: envNumber('LOCATIONS_RADIUS_MIN_KM', 0.1),
+            max: envNumber('LOCATIONS_RADIUS_MAX_KM', 50)
+        }
+    }
+};
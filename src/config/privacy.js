@@ -0,0 +1,6 @@
+// Location privacy. Users on neighborhood or distance precision are placed at the
+// center of their cell on this grid, so every query sees the same fuzzed position.
+module.exports = {
+    // 0.005 degrees is about 550m north-south
+    neighborhoodGridDegrees: parseFloat(process.env.PRIVACY_NEIGHBORHOOD_GRID_DEGREES) || 0.005
+};
@@ -0,0 +1,18 @@
+// Impossible-travel detection for location updates and pings
+const TRAVEL_POLICIES = ['accept', 'flag', 'reject'];
+
+// accept: ignore implausible travel
+// flag: accept it and record a travel_flags row
+// reject: record a travel_flags row and refuse the update with IMPOSSIBLE_TRAVEL
+const policy = process.env.TRAVEL_POLICY || 'flag';
+if (!TRAVEL_POLICIES.includes(policy)) {
+    throw new Error(`TRAVEL_POLICY must be one of: ${TRAVEL_POLICIES.join(', ')}`);
+}
+
+module.exports = {
+    policy,
+    // Faster than a commercial flight
+    maxSpeedKmh: parseFloat(process.env.TRAVEL_MAX_SPEED_KMH) || 1000,
+    // Jumps shorter than this are treated as GPS noise and never flagged
+    minDistanceMeters: parseFloat(process.env.TRAVEL_MIN_DISTANCE_METERS) || 1000
+};
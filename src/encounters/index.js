@@ -0,0 +1,103 @@
+const { pool } = require('../config/db');
+const { domainEvents } = require('../events');
+const { createNearbyCondition, snapToGrid } = require('../utils/geo');
+const { createNotBlockedCondition } = require('../utils/blocks');
+const encounterConfig = require('../config/encounters');
+
+// Midpoint of two nearby points, taking the short way across the antimeridian
+const midpoint = (lat1, lng1, lat2, lng2) => {
+    let lngDelta = lng2 - lng1;
+    if (lngDelta > 180) {
+        lngDelta -= 360;
+    } else if (lngDelta < -180) {
+        lngDelta += 360;
+    }
+    let lng = lng1 + lngDelta / 2;
+    if (lng > 180) {
+        lng -= 360;
+    } else if (lng < -180) {
+        lng += 360;
+    }
+    return { lat: (lat1 + lat2) / 2, lng };
+};
+
+/**
+ * Records encounters between a user who just reported a location and every other
+ * broadcasting user close by. Both users must be broadcasting and share encounters.
+ * @param {object} client - pg client or pool
+ * @param {object} update
+ * @param {string} update.userId - User who reported the location
+ * @param {number} update.latitude
+ * @param {number} update.longitude
+ * @returns {Promise<number>} Number of users encountered
+ */
+async function recordEncounters(client, { userId, latitude, longitude }) {
+    const self = await client.query(
+        `SELECT us.is_broadcasting, COALESCE(ps.share_encounters, true) AS share_encounters
+         FROM user_status us
+         LEFT JOIN privacy_settings ps ON ps.user_id = us.user_id
+         WHERE us.user_id = $1`,
+        [userId]
+    );
+    if (self.rows.length === 0 || !self.rows[0].is_broadcasting || !self.rows[0].share_encounters) {
+        return 0;
+    }
+
+    const nearby = await client.query(
+        `SELECT l.user_id, l.latitude, l.longitude
+         FROM locations l
+         JOIN user_status us ON us.user_id = l.user_id
+         LEFT JOIN privacy_settings ps ON ps.user_id = l.user_id
+         WHERE l.user_id != $3
+         AND ${createNearbyCondition('l', { radiusMeters: '$4::float' })}
+         AND l.created_at > NOW() - make_interval(secs => $5::float * 60)
+         AND us.is_broadcasting = true
+         AND COALESCE(ps.share_encounters, true) = true
+         AND ${createNotBlockedCondition('l.user_id', '$3')}`,
+        [latitude, longitude, userId, encounterConfig.distanceMeters, encounterConfig.locationMaxAgeMinutes]
+    );
+
+    for (const other of nearby.rows) {
+        const center = midpoint(latitude, longitude, other.latitude, other.longitude);
+        const place = snapToGrid(center.lat, center.lng, encounterConfig.placeGridDegrees);
+
+        // A new crossing only counts once the pair has been apart for the cooldown
+        await client.query(
+            `INSERT INTO encounters (
+                user_a_id, user_b_id, encounter_date, approx_latitude, approx_longitude
+             )
+             VALUES (LEAST($1::uuid, $2::uuid), GREATEST($1::uuid, $2::uuid), (NOW() AT TIME ZONE 'UTC')::date, $3, $4)
+             ON CONFLICT (user_a_id, user_b_id, encounter_date) DO UPDATE
+             SET encounter_count = encounters.encounter_count + CASE
+                     WHEN encounters.last_encountered_at < NOW() - make_interval(secs => $5::float * 60) THEN 1
+                     ELSE 0
+                 END,
+                 last_encountered_at = NOW(),
+                 approx_latitude = EXCLUDED.approx_latitude,
+                 approx_longitude = EXCLUDED.approx_longitude`,
+            [userId, other.user_id, place.lat, place.lng, encounterConfig.cooldownMinutes]
+        );
+    }
+
+    return nearby.rows.length;
+}
+
+const onLocationUpdated = (update) => {
+    recordEncounters(pool, update).catch(err => console.error('Error recording encounters:', err));
+};
+
+/**
+ * Starts recording encounters from location updates
+ */
+function startEncounterDetection() {
+    if (domainEvents.listeners('location.updated').includes(onLocationUpdated)) {
+        return;
+    }
+    domainEvents.on('location.updated', onLocationUpdated);
+    console.log('Encounter detection started');
+}
+
+module.exports = {
+    recordEncounters,
+    startEncounterDetection
+};
@@ -0,0 +1,11 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for domain events such as 'ping.created'.
+// Routes emit after their transaction commits; realtime and integration
+// subsystems subscribe. Listeners must handle their own errors.
+const domainEvents = new EventEmitter();
+domainEvents.setMaxListeners(50);
+
+module.exports = {
+    domainEvents
+};
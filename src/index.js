@@ -3,14 +3,26 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { pool, verifyDatabaseConnection } = require('./config/db');
 require('dotenv').config();
+const { authenticate } = require('./auth/middleware');
+const { startWebhookWorker } = require('./webhooks/worker');
+const { startEncounterDetection } = require('./encounters');
+const { startJobScheduler } = require('./jobs');
 
 // Import routes
+const authRouter = require('./routes/auth');
 const profilesRouter = require('./routes/profiles');
 const locationsRouter = require('./routes/locations');
 const pingsRouter = require('./routes/pings');
 const connectRouter = require('./routes/connect');
 const validationRouter = require('./routes/validation');
 const statusRouter = require('./routes/status');
+const notificationsRouter = require('./routes/notifications');
+const webhooksRouter = require('./routes/webhooks');
+const venuesRouter = require('./routes/venues');
+const encountersRouter = require('./routes/encounters');
+const privacyRouter = require('./routes/privacy');
+const jobsRouter = require('./routes/jobs');
+const messagesRouter = require('./routes/messages');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -31,14 +43,23 @@ async function initializeDatabase() {
 app.use(cors());
 app.use(helmet());
 app.use(express.json());
+app.use(authenticate);
 
 // Routes
+app.use('/auth', authRouter);
 app.use('/profiles', profilesRouter);
 app.use('/locations', locationsRouter);
 app.use('/pings', pingsRouter);
 app.use('/connect', connectRouter);
 app.use('/validation', validationRouter);
 app.use('/status', statusRouter);
+app.use('/notifications', notificationsRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/venues', venuesRouter);
+app.use('/encounters', encountersRouter);
+app.use('/privacy', privacyRouter);
+app.use('/jobs', jobsRouter);
+app.use('/messages', messagesRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -55,6 +76,9 @@ app.get('/', (req, res) => {
 
 // Initialize database and start server
 initializeDatabase().then(() => {
+    startWebhookWorker();
+    startEncounterDetection();
+    startJobScheduler();
     app.listen(port, '0.0.0.0', () => {
         console.log(`Reign backend service running on port ${port}`);
     });
@@ -0,0 +1,98 @@
+const { domainEvents } = require('../events');
+const { isOnline } = require('../utils/presence');
+const { purgeLocationHistory } = require('../locations/history');
+const jobConfig = require('../config/jobs');
+const scheduler = require('./scheduler');
+
+scheduler.registerJob({
+    name: 'expire-validation-requests',
+    description: 'Marks pending validation requests past expires_at as expired',
+    intervalSeconds: jobConfig.expireValidationRequests.intervalSeconds,
+    run: async (client) => {
+        const result = await client.query(
+            `UPDATE validation_requests
+             SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+             WHERE status = 'pending'
+             AND expires_at <= NOW()`
+        );
+        return { expired: result.rowCount };
+    }
+});
+
+scheduler.registerJob({
+    name: 'disable-inactive-broadcasting',
+    description: 'Turns broadcasting off for users whose app stopped checking in',
+    intervalSeconds: jobConfig.disableInactiveBroadcasting.intervalSeconds,
+    run: async (client) => {
+        const result = await client.query(
+            `UPDATE user_status
+             SET is_broadcasting = false
+             WHERE is_broadcasting = true
+             AND last_seen < NOW() - make_interval(mins => $1)
+             RETURNING user_id, last_seen, disconnected_at`,
+            [jobConfig.disableInactiveBroadcasting.inactiveMinutes]
+        );
+
+        for (const row of result.rows) {
+            domainEvents.emit('presence.changed', {
+                userId: row.user_id,
+                isOnline: isOnline(row),
+                isBroadcasting: false,
+                lastSeen: row.last_seen
+            });
+        }
+
+        return { disabled: result.rowCount };
+    }
+});
+
+scheduler.registerJob({
+    name: 'purge-expired-pings',
+    description: 'Deletes pings older than the ping retention window',
+    intervalSeconds: jobConfig.purgePings.intervalSeconds,
+    run: async (client) => {
+        const { retentionDays, batchSize } = jobConfig.purgePings;
+
+        // Delete in batches so a large backlog never holds long row locks
+        let deleted = 0;
+        let batch;
+        do {
+            batch = await client.query(
+                `DELETE FROM pings
+                 WHERE id IN (
+                     SELECT id FROM pings
+                     WHERE created_at < NOW() - make_interval(days => $1)
+                     LIMIT $2
+                 )`,
+                [retentionDays, batchSize]
+            );
+            deleted += batch.rowCount;
+        } while (batch.rowCount === batchSize);
+
+        return { deleted };
+    }
+});
+
+scheduler.registerJob({
+    name: 'purge-stale-user-status',
+    description: 'Deletes status rows of users who have not been seen for a long time',
+    intervalSeconds: jobConfig.purgeUserStatus.intervalSeconds,
+    run: async (client) => {
+        const result = await client.query(
+            `DELETE FROM user_status
+             WHERE is_broadcasting = false
+             AND last_seen < NOW() - make_interval(days => $1)`,
+            [jobConfig.purgeUserStatus.retentionDays]
+        );
+        return { deleted: result.rowCount };
+    }
+});
+
+scheduler.registerJob({
+    name: 'purge-location-history',
+    description: 'Deletes location history points past retention for every user',
+    intervalSeconds: jobConfig.purgeLocationHistory.intervalSeconds,
+    run: async (client) => ({ deleted: await purgeLocationHistory(client) })
+});
+
+module.exports = scheduler;
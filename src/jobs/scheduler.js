@@ -0,0 +1,189 @@
+const { pool } = require('../config/db');
+const jobConfig = require('../config/jobs');
+
+// Advisory lock keys are derived from the job name, so every instance agrees on them
+const LOCK_PREFIX = 'reign-job:';
+
+const jobs = new Map();
+const timers = new Map();
+
+/**
+ * Adds a job to the registry
+ * @param {object} job
+ * @param {string} job.name - Unique kebab-case name, used in /jobs URLs and as the lock key
+ * @param {string} job.description
+ * @param {number} job.intervalSeconds - How often the job is scheduled across all instances
+ * @param {function(object): Promise<object>} job.run - Receives a pg client holding the
+ *   job's lock and resolves to a JSON summary stored with the run
+ */
+function registerJob(job) {
+    if (jobs.has(job.name)) {
+        throw new Error(`Job already registered: ${job.name}`);
+    }
+    jobs.set(job.name, job);
+}
+
+/**
+ * @param {string} name
+ * @returns {object|undefined} The registered job
+ */
+function getJob(name) {
+    return jobs.get(name);
+}
+
+/**
+ * @returns {object[]} Registered jobs in registration order
+ */
+function listJobs() {
+    return [...jobs.values()];
+}
+
+/**
+ * Formats a job_runs row for API responses
+ * @param {object} row - job_runs row
+ * @returns {object}
+ */
+function toJobRun(row) {
+    return {
+        id: row.id,
+        jobName: row.job_name,
+        triggeredBy: row.triggered_by,
+        status: row.status,
+        result: row.result,
+        error: row.error,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+/**
+ * Runs a job while holding its advisory lock, recording the run in job_runs.
+ * Scheduled runs are skipped when any instance started the job within its
+ * interval; manual runs always go ahead unless the job is running elsewhere.
+ * A failing job is recorded as failed rather than rejecting.
+ * @param {string} name - Registered job name
+ * @param {object} [options]
+ * @param {string} [options.triggeredBy] - 'schedule' or 'manual'
+ * @returns {Promise<{run: object|null, skipped: string|null}>} The recorded run, or why it
+ *   was skipped: 'locked' when another run holds the lock, 'not-due' for early scheduled runs
+ */
+async function runJob(name, { triggeredBy = 'manual' } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+
+    const client = await pool.connect();
+    let locked = false;
+    try {
+        const lock = await client.query(
+            'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+            [LOCK_PREFIX + name]
+        );
+        locked = lock.rows[0].locked;
+        if (!locked) {
+            return { run: null, skipped: 'locked' };
+        }
+
+        // Holding the lock means no run of this job is live; leftovers died with their process
+        await client.query(
+            `UPDATE job_runs
+             SET status = 'failed', finished_at = NOW(), error = 'Interrupted before finishing'
+             WHERE job_name = $1 AND status = 'running'`,
+            [name]
+        );
+
+        if (triggeredBy === 'schedule') {
+            const recent = await client.query(
+                `SELECT 1 FROM job_runs
+                 WHERE job_name = $1
+                 AND started_at > NOW() - make_interval(secs => $2)
+                 LIMIT 1`,
+                [name, job.intervalSeconds]
+            );
+            if (recent.rows.length > 0) {
+                return { run: null, skipped: 'not-due' };
+            }
+        }
+
+        const started = await client.query(
+            `INSERT INTO job_runs (job_name, triggered_by)
+             VALUES ($1, $2)
+             RETURNING id`,
+            [name, triggeredBy]
+        );
+        const runId = started.rows[0].id;
+
+        let finished;
+        try {
+            const result = await job.run(client);
+            finished = await client.query(
+                `UPDATE job_runs
+                 SET status = 'succeeded', result = $2, finished_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [runId, JSON.stringify(result || {})]
+            );
+        } catch (err) {
+            console.error(`Error running job ${name}:`, err);
+            finished = await client.query(
+                `UPDATE job_runs
+                 SET status = 'failed', error = $2, finished_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [runId, err.message]
+            );
+        }
+
+        await client.query(
+            `DELETE FROM job_runs
+             WHERE job_name = $1
+             AND started_at < NOW() - make_interval(days => $2)`,
+            [name, jobConfig.runHistoryDays]
+        );
+
+        return { run: toJobRun(finished.rows[0]), skipped: null };
+    } finally {
+        if (locked) {
+            await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_PREFIX + name])
+                .catch(err => console.error(`Error releasing lock for job ${name}:`, err));
+        }
+        client.release();
+    }
+}
+
+/**
+ * Schedules every registered job in this process. Each instance keeps its own
+ * timers; the lock and run history make sure a job runs once per interval overall.
+ */
+function startJobScheduler() {
+    if (!jobConfig.enabled || timers.size > 0) {
+        return;
+    }
+    for (const job of jobs.values()) {
+        const timer = setInterval(() => {
+            runJob(job.name, { triggeredBy: 'schedule' })
+                .catch(err => console.error(`Error scheduling job ${job.name}:`, err));
+        }, job.intervalSeconds * 1000);
+        timer.unref();
+        timers.set(job.name, timer);
+    }
+    console.log('Job scheduler started');
+}
+
+function stopJobScheduler() {
+    for (const timer of timers.values()) {
+        clearInterval(timer);
+    }
+    timers.clear();
+}
+
+module.exports = {
+    registerJob,
+    getJob,
+    listJobs,
+    toJobRun,
+    runJob,
+    startJobScheduler,
+    stopJobScheduler
+};
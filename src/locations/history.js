@@ -0,0 +1,61 @@
+const { retentionDays } = require('../config/locationHistory');
+
+/**
+ * Appends a point to a user's location trail. Pass the transaction client so
+ * the point commits or rolls back with the current-location upsert.
+ * @param {object} client - pg client or pool
+ * @param {string} userId - Owner of the trail
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<object>} The stored location_history row
+ */
+async function appendLocationHistory(client, userId, latitude, longitude) {
+    const result = await client.query(
+        `INSERT INTO location_history (user_id, latitude, longitude)
+         VALUES ($1, $2, $3)
+         RETURNING id, user_id, latitude, longitude, recorded_at`,
+        [userId, latitude, longitude]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Deletes points older than the retention window
+ * @param {object} client - pg client or pool
+ * @param {object} [options]
+ * @param {string} [options.userId] - Only purge this user's trail
+ * @returns {Promise<number>} Number of deleted points
+ */
+async function purgeLocationHistory(client, { userId } = {}) {
+    const params = [retentionDays];
+    let userCondition = '';
+    if (userId) {
+        params.push(userId);
+        userCondition = 'AND user_id = $2';
+    }
+
+    const result = await client.query(
+        `DELETE FROM location_history
+         WHERE recorded_at < NOW() - make_interval(days => $1)
+         ${userCondition}`,
+        params
+    );
+
+    return result.rowCount;
+}
+
+/**
+ * Returns the earliest time still inside the retention window
+ * @param {Date} [now] - Current time
+ * @returns {Date}
+ */
+function retentionStart(now = new Date()) {
+    return new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+    appendLocationHistory,
+    purgeLocationHistory,
+    retentionStart
+};
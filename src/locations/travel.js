@@ -0,0 +1,95 @@
+const { distanceMeters } = require('../utils/geo');
+const travelConfig = require('../config/travel');
+
+/**
+ * Returns the user's most recent known position, from either their current
+ * location or their latest ping
+ * @param {object} client - pg client or pool
+ * @param {string} userId
+ * @returns {Promise<{latitude: number, longitude: number, recorded_at: Date}|null>}
+ */
+async function getLastKnownPosition(client, userId) {
+    const result = await client.query(
+        `SELECT latitude, longitude, recorded_at
+         FROM (
+             SELECT latitude, longitude, created_at AS recorded_at
+             FROM locations
+             WHERE user_id = $1
+             UNION ALL
+             (
+                 SELECT latitude, longitude, created_at AS recorded_at
+                 FROM pings
+                 WHERE user_id = $1
+                 ORDER BY created_at DESC
+                 LIMIT 1
+             )
+         ) positions
+         ORDER BY recorded_at DESC
+         LIMIT 1`,
+        [userId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Checks a new position against the speed implied by the user's last known
+ * position and applies the configured policy. Flags are written with the
+ * given client, so callers that reject should still commit.
+ * @param {object} client - pg client
+ * @param {object} update
+ * @param {string} update.userId
+ * @param {number} update.latitude
+ * @param {number} update.longitude
+ * @param {string} update.source - 'location' or 'ping'
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{allowed: boolean, flagged: boolean, details?: object}>} Whether to
+ *   accept the update, and the implied travel when it was implausible
+ */
+async function checkTravel(client, { userId, latitude, longitude, source }, now = new Date()) {
+    const previous = await getLastKnownPosition(client, userId);
+    if (!previous) {
+        return { allowed: true, flagged: false };
+    }
+
+    const distance = distanceMeters(previous.latitude, previous.longitude, latitude, longitude);
+    if (distance < travelConfig.minDistanceMeters) {
+        return { allowed: true, flagged: false };
+    }
+
+    // Clock skew between app servers and the database must not divide by zero
+    const elapsedSeconds = Math.max((now - new Date(previous.recorded_at)) / 1000, 1);
+    const speedKmh = (distance / 1000) / (elapsedSeconds / 3600);
+    if (speedKmh <= travelConfig.maxSpeedKmh || travelConfig.policy === 'accept') {
+        return { allowed: true, flagged: false };
+    }
+
+    const allowed = travelConfig.policy === 'flag';
+    await client.query(
+        `INSERT INTO travel_flags (
+            user_id, source, action, latitude, longitude,
+            previous_latitude, previous_longitude, previous_recorded_at,
+            distance_meters, elapsed_seconds, speed_kmh
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+            userId, source, allowed ? 'accepted' : 'rejected', latitude, longitude,
+            previous.latitude, previous.longitude, previous.recorded_at,
+            distance, elapsedSeconds, speedKmh
+        ]
+    );
+
+    return {
+        allowed,
+        flagged: true,
+        details: {
+            distanceMeters: Math.round(distance),
+            elapsedSeconds: Math.round(elapsedSeconds),
+            speedKmh: Math.round(speedKmh),
+            maxSpeedKmh: travelConfig.maxSpeedKmh
+        }
+    };
+}
+
+module.exports = {
+    checkTravel
+};
@@ -0,0 +1,40 @@
+// Registered notification types. Add an entry here to introduce a new event;
+// the data keys document what clients can expect in the payload.
+const NOTIFICATION_TYPES = {
+    'connection.requested': { data: ['requestId'] },
+    'connection.accepted': { data: ['requestId'] },
+    'validation.requested': { data: ['requestId', 'category', 'specificItem'] },
+    'validation.responded': { data: ['requestId', 'response', 'category', 'specificItem'] },
+    'ping.replied': { data: ['pingId', 'replyId'] }
+};
+
+/**
+ * Stores a notification. Pass the transaction client so the notification
+ * commits or rolls back with the change that caused it.
+ * @param {object} client - pg client or pool
+ * @param {object} notification
+ * @param {string} notification.userId - Recipient
+ * @param {string} notification.type - Key of NOTIFICATION_TYPES
+ * @param {string} [notification.actorId] - User who caused the notification
+ * @param {object} [notification.data] - Type-specific payload
+ * @returns {Promise<object>} The stored notification row
+ */
+async function createNotification(client, { userId, type, actorId = null, data = {} }) {
+    if (!NOTIFICATION_TYPES[type]) {
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const result = await client.query(
+        `INSERT INTO notifications (user_id, type, actor_user_id, data)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, user_id, type, actor_user_id, data, read_at, created_at`,
+        [userId, type, actorId, JSON.stringify(data)]
+    );
+
+    return result.rows[0];
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    createNotification
+};
@@ -0,0 +1,208 @@
+const { createNearbyCondition, createWithinBoundsCondition, snapToGrid } = require('../utils/geo');
+const { neighborhoodGridDegrees } = require('../config/privacy');
+
+const LOCATION_PRECISIONS = ['exact', 'neighborhood', 'distance'];
+
+// A fuzzed position is at most half a cell diagonal from the true one; one cell
+// edge is a safe margin for widening index pre-filters that run on the true columns
+const FUZZ_PADDING_METERS = Math.ceil(neighborhoodGridDegrees * 111320);
+
+// Queries join privacy_settings as lps for the user who owns the coordinates
+const LOCATION_PRECISION_SQL = "COALESCE(lps.location_precision, 'exact')";
+
+/**
+ * Creates the join that LOCATION_PRECISION_SQL reads from
+ * @param {string} userColumn - Column holding the id of the user who owns the coordinates
+ * @returns {string} SQL join clause
+ */
+function createLocationPrecisionJoin(userColumn) {
+    return `LEFT JOIN privacy_settings lps ON lps.user_id = ${userColumn}`;
+}
+
+/**
+ * Returns SQL expressions for the position other users are measured against:
+ * the true position for exact precision, otherwise the grid cell center
+ * @param {string} alias - Table alias holding latitude/longitude columns
+ * @returns {{latitude: string, longitude: string}} SQL expressions
+ */
+function publicPositionSql(alias) {
+    const snap = (column, limit) => `(CASE
+        WHEN ${LOCATION_PRECISION_SQL} = 'exact' THEN ${alias}.${column}
+        ELSE LEAST(GREATEST((floor(${alias}.${column} / ${neighborhoodGridDegrees}::float) + 0.5) * ${neighborhoodGridDegrees}::float, -${limit}), ${limit})
+    END)`;
+    return {
+        latitude: snap('latitude', 90),
+        longitude: snap('longitude', 180)
+    };
+}
+
+/**
+ * Returns SQL select expressions for the coordinates other users may see.
+ * Distance-only users get NULL coordinates.
+ * @param {string} alias - Table alias holding latitude/longitude columns
+ * @returns {string} SQL select list producing latitude, longitude and "locationPrecision"
+ */
+function createPublicCoordinateColumns(alias) {
+    const position = publicPositionSql(alias);
+    return `
+        CASE WHEN ${LOCATION_PRECISION_SQL} = 'distance' THEN NULL ELSE ${position.latitude} END as latitude,
+        CASE WHEN ${LOCATION_PRECISION_SQL} = 'distance' THEN NULL ELSE ${position.longitude} END as longitude,
+        ${LOCATION_PRECISION_SQL} as "locationPrecision"
+    `;
+}
+
+/**
+ * Returns an SQL expression for the distance in meters from a point to the public position
+ * @param {string} alias - Table alias holding latitude/longitude columns
+ * @param {string} lat - SQL expression for the point's latitude
+ * @param {string} lng - SQL expression for the point's longitude
+ * @returns {string} SQL expression
+ */
+function createPublicDistanceExpression(alias, lat, lng) {
+    const position = publicPositionSql(alias);
+    return `earth_distance(ll_to_earth(${position.latitude}, ${position.longitude}), ll_to_earth(${lat}, ${lng}))::float`;
+}
+
+/**
+ * Radius condition on the public position, so moving the query point around
+ * reveals nothing finer than the grid cell
+ * @param {string} alias - Table alias holding latitude/longitude columns
+ * @param {object} center - SQL expressions, as for createNearbyCondition
+ * @param {string} center.lat
+ * @param {string} center.lng
+ * @param {string} center.radiusMeters
+ * @returns {string} SQL condition for WHERE clause
+ */
+function createPublicNearbyCondition(alias, { lat, lng, radiusMeters }) {
+    return `
+        ${createNearbyCondition(alias, { lat, lng, radiusMeters: `(${radiusMeters} + ${FUZZ_PADDING_METERS})` })}
+        AND ${createPublicDistanceExpression(alias, lat, lng)} <= ${radiusMeters}
+    `;
+}
+
+/**
+ * Bounding box condition on the public position. Distance-only users have no
+ * position to place on a map and never match.
+ * @param {string} alias - Table alias holding latitude/longitude columns
+ * @param {object} box - Result of parseBoundingBox
+ * @param {number} [firstParam] - Placeholder number of the first boundingBoxParams value
+ * @returns {string} SQL condition for WHERE clause
+ */
+function createPublicWithinBoundsCondition(alias, box, firstParam = 1) {
+    return `
+        ${LOCATION_PRECISION_SQL} != 'distance'
+        AND ${createWithinBoundsCondition(alias, box, firstParam, {
+            ...publicPositionSql(alias),
+            paddingMeters: FUZZ_PADDING_METERS
+        })}
+    `;
+}
+
+/**
+ * JavaScript counterpart of publicPositionSql
+ * @param {string} precision - One of LOCATION_PRECISIONS
+ * @param {number} latitude - True latitude
+ * @param {number} longitude - True longitude
+ * @returns {{latitude: number, longitude: number}} Position other users are measured against
+ */
+function publicPosition(precision, latitude, longitude) {
+    if (precision === 'exact') {
+        return { latitude, longitude };
+    }
+    const cell = snapToGrid(latitude, longitude, neighborhoodGridDegrees);
+    return { latitude: cell.lat, longitude: cell.lng };
+}
+
+/**
+ * JavaScript counterpart of createPublicCoordinateColumns
+ * @param {string} precision - One of LOCATION_PRECISIONS
+ * @param {number} latitude - True latitude
+ * @param {number} longitude - True longitude
+ * @returns {{latitude: number|null, longitude: number|null, locationPrecision: string}}
+ */
+function publicCoordinates(precision, latitude, longitude) {
+    if (precision === 'distance') {
+        return { latitude: null, longitude: null, locationPrecision: precision };
+    }
+    return { ...publicPosition(precision, latitude, longitude), locationPrecision: precision };
+}
+
+/**
+ * Name shown next to another user's coordinates. Never falls back to the email
+ * address, which would tie an identity to a place.
+ * @param {string|null} name - users.name
+ * @returns {string}
+ */
+function publicDisplayName(name) {
+    return name || 'Anonymous';
+}
+
+/**
+ * Loads a user's privacy settings, falling back to the defaults
+ * @param {object} client - pg client or pool
+ * @param {string} userId
+ * @returns {Promise<{locationPrecision: string, shareEncounters: boolean}>}
+ */
+async function getPrivacySettings(client, userId) {
+    const result = await client.query(
+        'SELECT location_precision, share_encounters FROM privacy_settings WHERE user_id = $1',
+        [userId]
+    );
+    if (result.rows.length === 0) {
+        return { locationPrecision: 'exact', shareEncounters: true };
+    }
+    return {
+        locationPrecision: result.rows[0].location_precision,
+        shareEncounters: result.rows[0].share_encounters
+    };
+}
+
+/**
+ * Updates a user's privacy settings. Omitted fields keep their value.
+ * Turning off encounter sharing deletes recorded encounters on both sides,
+ * since they are shared history. Run inside a transaction.
+ * @param {object} client - pg client
+ * @param {string} userId
+ * @param {{locationPrecision?: string, shareEncounters?: boolean}} changes
+ * @returns {Promise<{locationPrecision: string, shareEncounters: boolean}>} Updated settings
+ */
+async function updatePrivacySettings(client, userId, { locationPrecision, shareEncounters }) {
+    const result = await client.query(
+        `INSERT INTO privacy_settings (user_id, location_precision, share_encounters)
+         VALUES ($1, COALESCE($2, 'exact'), COALESCE($3, true))
+         ON CONFLICT (user_id) DO UPDATE
+         SET location_precision = COALESCE($2, privacy_settings.location_precision),
+             share_encounters = COALESCE($3, privacy_settings.share_encounters),
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING location_precision, share_encounters`,
+        [userId, locationPrecision === undefined ? null : locationPrecision, shareEncounters === undefined ? null : shareEncounters]
+    );
+
+    if (shareEncounters === false) {
+        await client.query(
+            'DELETE FROM encounters WHERE user_a_id = $1 OR user_b_id = $1',
+            [userId]
+        );
+    }
+
+    return {
+        locationPrecision: result.rows[0].location_precision,
+        shareEncounters: result.rows[0].share_encounters
+    };
+}
+
+module.exports = {
+    LOCATION_PRECISIONS,
+    LOCATION_PRECISION_SQL,
+    createLocationPrecisionJoin,
+    publicPositionSql,
+    createPublicCoordinateColumns,
+    createPublicDistanceExpression,
+    createPublicNearbyCondition,
+    createPublicWithinBoundsCondition,
+    publicPosition,
+    publicCoordinates,
+    publicDisplayName,
+    getPrivacySettings,
+    updatePrivacySettings
+};
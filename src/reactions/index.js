@@ -0,0 +1,62 @@
+const { createNotBlockedCondition } = require('../utils/blocks');
+
+// Named reactions; any single emoji is accepted as well
+const REACTION_TYPES = ['interested', 'on_my_way'];
+
+// One emoji, including skin tone modifiers and ZWJ sequences such as 👩‍💻
+const EMOJI_REGEX = /^\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*$/u;
+
+/**
+ * Checks whether a value is a named reaction or a single emoji
+ * @param {*} type - Requested reaction type
+ * @returns {boolean}
+ */
+function isValidReactionType(type) {
+    return typeof type === 'string' && (REACTION_TYPES.includes(type) || EMOJI_REGEX.test(type));
+}
+
+/**
+ * Creates a select expression with a ping's reaction counts by type, e.g.
+ * {"interested": 3, "👍": 1}. Reactions from users blocked by or blocking the
+ * viewer are not counted.
+ * @param {string} pingColumn - Column holding the ping id (e.g. 'p.id')
+ * @param {string} viewerParam - Placeholder holding the viewer's id (e.g. '$3')
+ * @returns {string} SQL select list entry producing "reactionCounts"
+ */
+function createReactionCountsColumn(pingColumn, viewerParam) {
+    return `
+        COALESCE((
+            SELECT json_object_agg(rc.type, rc.count)
+            FROM (
+                SELECT pr.type, COUNT(*)::int AS count
+                FROM ping_reactions pr
+                WHERE pr.ping_id = ${pingColumn}
+                AND ${createNotBlockedCondition('pr.user_id', viewerParam)}
+                GROUP BY pr.type
+            ) rc
+        ), '{}'::json) as "reactionCounts"
+    `;
+}
+
+/**
+ * Creates a select expression with the reaction types the viewer left on a ping
+ * @param {string} pingColumn - Column holding the ping id (e.g. 'p.id')
+ * @param {string} viewerParam - Placeholder holding the viewer's id (e.g. '$3')
+ * @returns {string} SQL select list entry producing "myReactions"
+ */
+function createViewerReactionsColumn(pingColumn, viewerParam) {
+    return `
+        ARRAY(
+            SELECT pr.type FROM ping_reactions pr
+            WHERE pr.ping_id = ${pingColumn} AND pr.user_id = ${viewerParam}
+            ORDER BY pr.created_at
+        ) as "myReactions"
+    `;
+}
+
+module.exports = {
+    REACTION_TYPES,
+    isValidReactionType,
+    createReactionCountsColumn,
+    createViewerReactionsColumn
+};
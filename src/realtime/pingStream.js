@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const { domainEvents } = require('../events');
+const { distanceMeters } = require('../utils/geo');
+const { publicPosition, publicCoordinates, publicDisplayName } = require('../privacy');
+
+// Active subscriptions for this process, keyed by subscription id
+const subscriptions = new Map();
+
+/**
+ * Registers a live nearby-ping subscription
+ * @param {object} options
+ * @param {string} options.userId - Subscribing user
+ * @param {number} options.latitude - Subscriber latitude
+ * @param {number} options.longitude - Subscriber longitude
+ * @param {number} options.radiusMeters - Delivery radius, already clamped to the configured bounds
+ * @param {object} options.filters - mood, skill, education and experience filters
+ * @param {function(string, object): void} options.send - Delivers an event to the client
+ * @returns {object} The subscription
+ */
+function subscribe({ userId, latitude, longitude, radiusMeters, filters, send }) {
+    const subscription = {
+        id: crypto.randomUUID(),
+        userId,
+        latitude,
+        longitude,
+        radiusMeters,
+        filters,
+        send
+    };
+    subscriptions.set(subscription.id, subscription);
+    return subscription;
+}
+
+function unsubscribe(subscriptionId) {
+    subscriptions.delete(subscriptionId);
+}
+
+function getSubscription(subscriptionId) {
+    return subscriptions.get(subscriptionId) || null;
+}
+
+function updatePosition(subscriptionId, latitude, longitude) {
+    const subscription = subscriptions.get(subscriptionId);
+    if (subscription) {
+        subscription.latitude = latitude;
+        subscription.longitude = longitude;
+    }
+    return subscription || null;
+}
+
+// Mirrors the filter conditions of GET /pings/nearby
+const matchesFilters = (ping, filters) => {
+    if (filters.mood && ping.mood !== filters.mood) {
+        return false;
+    }
+    if (filters.skill && !(ping.category === 'skill' && ping.value === filters.skill)) {
+        return false;
+    }
+    if (filters.education && !(ping.category === 'education' && ping.value === filters.education)) {
+        return false;
+    }
+    if (filters.experience && !(ping.category === 'experience' && ping.value === filters.experience)) {
+        return false;
+    }
+    return true;
+};
+
+// Helper function to find users who blocked, or were blocked by, a user
+const getBlockedUserIds = async (userId) => {
+    const result = await pool.query(
+        `SELECT CASE WHEN from_user = $1 THEN to_user ELSE from_user END as user_id
+         FROM connections 
+         WHERE status = 'blocked' AND (from_user = $1 OR to_user = $1)`,
+        [userId]
+    );
+    return new Set(result.rows.map(row => row.user_id));
+};
+
+/**
+ * Delivers a newly created ping to every matching subscriber
+ * @param {object} ping - Ping as emitted with 'ping.created'
+ */
+async function publishPing(ping) {
+    if (subscriptions.size === 0) {
+        return;
+    }
+
+    const blockedUserIds = await getBlockedUserIds(ping.userId);
+    const position = publicPosition(ping.locationPrecision, ping.latitude, ping.longitude);
+    const coordinates = publicCoordinates(ping.locationPrecision, ping.latitude, ping.longitude);
+
+    for (const subscription of subscriptions.values()) {
+        if (subscription.userId === ping.userId || blockedUserIds.has(subscription.userId)) {
+            continue;
+        }
+
+        // Measured from the author's public position, like GET /pings/nearby
+        const distance = distanceMeters(
+            subscription.latitude, subscription.longitude,
+            position.latitude, position.longitude
+        );
+
+        if (distance > subscription.radiusMeters || !matchesFilters(ping, subscription.filters)) {
+            continue;
+        }
+
+        // Same shape as a GET /pings/nearby result
+        subscription.send('ping', {
+            userId: ping.userId,
+            name: ping.name,
+            pingId: ping.id,
+            message: ping.message,
+            mood: ping.mood,
+            ...coordinates,
+            category: ping.category,
+            value: ping.value,
+            venueId: ping.venueId,
+            createdAt: ping.createdAt,
+            expiresAt: ping.expiresAt,
+            reactionCounts: {},
+            myReactions: [],
+            distance: Math.round(distance),
+            displayName: publicDisplayName(ping.name)
+        });
+    }
+}
+
+domainEvents.on('ping.created', (ping) => {
+    publishPing(ping).catch(err => console.error('Error publishing ping to stream:', err));
+});
+
+module.exports = {
+    subscribe,
+    unsubscribe,
+    getSubscription,
+    updatePosition
+};
@@ -0,0 +1,184 @@
+const { pool } = require('../config/db');
+const { domainEvents } = require('../events');
+const { createOnlineCondition } = require('../utils/presence');
+
+// How often last_seen is refreshed for users holding a presence stream.
+// Must stay well inside the online window in utils/presence.js.
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Open presence streams in this process: user id -> Set of send functions.
+// A user may hold several streams (one per device).
+const streams = new Map();
+
+// Per-user queue so connect/disconnect writes land in the order they happened
+const pendingWrites = new Map();
+
+let refreshTimer = null;
+
+const enqueue = (userId, task) => {
+    const previous = pendingWrites.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    pendingWrites.set(userId, next);
+    next.finally(() => {
+        if (pendingWrites.get(userId) === next) {
+            pendingWrites.delete(userId);
+        }
+    }).catch(() => {});
+    return next;
+};
+
+// Helper function to keep last_seen fresh for every connected user
+const refreshLastSeen = async () => {
+    const userIds = [...streams.keys()];
+    if (userIds.length === 0) {
+        return;
+    }
+    await pool.query(
+        'UPDATE user_status SET last_seen = NOW() WHERE user_id = ANY($1::uuid[])',
+        [userIds]
+    );
+};
+
+const startRefresh = () => {
+    if (!refreshTimer) {
+        refreshTimer = setInterval(() => {
+            refreshLastSeen().catch(err => console.error('Error refreshing presence:', err));
+        }, REFRESH_INTERVAL_MS);
+        refreshTimer.unref();
+    }
+};
+
+const stopRefresh = () => {
+    if (refreshTimer && streams.size === 0) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+};
+
+// Helper function to get current status of every connection of a user
+const getConnectionStatuses = async (userId) => {
+    const result = await pool.query(
+        `SELECT 
+            u.id as "userId",
+            COALESCE(us.is_broadcasting, false) as "isBroadcasting",
+            COALESCE(${createOnlineCondition('us')}, false) as "isOnline",
+            us.last_seen as "lastSeen"
+        FROM connections c
+        JOIN users u ON u.id = CASE WHEN c.from_user = $1 THEN c.to_user ELSE c.from_user END
+        LEFT JOIN user_status us ON us.user_id = u.id
+        WHERE (c.from_user = $1 OR c.to_user = $1)
+        AND c.status = 'connected'`,
+        [userId]
+    );
+    return result.rows;
+};
+
+/**
+ * Registers a presence stream and marks the user online
+ * @param {string} userId - Connecting user
+ * @param {function(string, object): void} send - Delivers an event to the client
+ * @returns {Promise<Array<object>>} Current status of the user's connections
+ */
+async function connect(userId, send) {
+    // Register synchronously so a disconnect arriving during the writes below finds it
+    const userStreams = streams.get(userId) || new Set();
+    const firstStream = userStreams.size === 0;
+    userStreams.add(send);
+    streams.set(userId, userStreams);
+    startRefresh();
+
+    if (firstStream) {
+        await enqueue(userId, async () => {
+            const result = await pool.query(
+                `INSERT INTO user_status (user_id, is_broadcasting, last_seen)
+                 VALUES ($1, false, NOW())
+                 ON CONFLICT (user_id) DO UPDATE
+                 SET last_seen = NOW(),
+                     disconnected_at = NULL
+                 RETURNING is_broadcasting, last_seen`,
+                [userId]
+            );
+            domainEvents.emit('presence.changed', {
+                userId,
+                isOnline: true,
+                isBroadcasting: result.rows[0].is_broadcasting,
+                lastSeen: result.rows[0].last_seen
+            });
+        });
+    }
+
+    return getConnectionStatuses(userId);
+}
+
+/**
+ * Removes a presence stream and marks the user offline once their last stream closes
+ * @param {string} userId - Disconnecting user
+ * @param {function(string, object): void} send - The send function passed to connect
+ */
+async function disconnect(userId, send) {
+    const userStreams = streams.get(userId);
+    if (!userStreams || !userStreams.delete(send)) {
+        return;
+    }
+
+    if (userStreams.size > 0) {
+        return;
+    }
+
+    streams.delete(userId);
+    stopRefresh();
+
+    await enqueue(userId, async () => {
+        // Another stream may have opened while this write was queued
+        if (streams.has(userId)) {
+            return;
+        }
+        const result = await pool.query(
+            `UPDATE user_status 
+             SET last_seen = NOW(),
+                 disconnected_at = NOW()
+             WHERE user_id = $1
+             RETURNING is_broadcasting, last_seen`,
+            [userId]
+        );
+        if (result.rows.length > 0) {
+            domainEvents.emit('presence.changed', {
+                userId,
+                isOnline: false,
+                isBroadcasting: result.rows[0].is_broadcasting,
+                lastSeen: result.rows[0].last_seen
+            });
+        }
+    });
+}
+
+// Deliver a status change to every connected user holding a stream in this process
+const deliverPresenceChange = async (change) => {
+    if (streams.size === 0) {
+        return;
+    }
+
+    const result = await pool.query(
+        `SELECT CASE WHEN from_user = $1 THEN to_user ELSE from_user END as user_id
+         FROM connections 
+         WHERE (from_user = $1 OR to_user = $1)
+         AND status = 'connected'`,
+        [change.userId]
+    );
+
+    for (const row of result.rows) {
+        const userStreams = streams.get(row.user_id);
+        if (userStreams) {
+            userStreams.forEach(send => send('presence', change));
+        }
+    }
+};
+
+domainEvents.on('presence.changed', (change) => {
+    deliverPresenceChange(change).catch(err => console.error('Error delivering presence change:', err));
+});
+
+module.exports = {
+    connect,
+    disconnect
+};
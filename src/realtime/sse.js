@@ -0,0 +1,31 @@
+// Comment lines keep proxies and mobile networks from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Switches a response into a Server-Sent Events stream
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {{send: function(string, object): void}} Stream handle
+ */
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('\n');
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    req.on('close', () => clearInterval(heartbeat));
+
+    return {
+        send: (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+}
+
+module.exports = {
+    openEventStream
+};
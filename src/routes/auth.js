@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { refreshTokenTtlSeconds, accessTokenTtlSeconds, passwordSetupTtlSeconds } = require('../config/auth');
+const { hashPassword, verifyPassword, validatePassword } = require('../auth/passwords');
+const { signAccessToken, signRefreshToken, verifyRefreshToken } = require('../auth/tokens');
+const { requireAdmin } = require('../auth/middleware');
+
+// Helper function to hash a password setup token for storage and lookup
+const hashSetupToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper function to issue a new access/refresh token pair
+const issueTokens = async (client, user) => {
+    const tokenResult = await client.query(
+        `INSERT INTO refresh_tokens (user_id, expires_at)
+         VALUES ($1, NOW() + make_interval(secs => $2))
+         RETURNING id`,
+        [user.id, refreshTokenTtlSeconds]
+    );
+
+    return {
+        accessToken: signAccessToken(user),
+        refreshToken: signRefreshToken(user.id, tokenResult.rows[0].id),
+        tokenType: 'Bearer',
+        expiresIn: accessTokenTtlSeconds
+    };
+};
+
+// POST /auth/login - Exchange email and password for tokens
+router.post('/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    // Validate required fields
+    if (!email || !password) {
+        return res.status(400).json({
+            error: 'Missing required fields',
+            details: {
+                email: !email ? 'Missing email' : null,
+                password: !password ? 'Missing password' : null
+            }
+        });
+    }
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({
+            error: 'Invalid credentials',
+            details: 'email and password must be strings'
+        });
+    }
+
+    try {
+        const userResult = await pool.query(
+            'SELECT id, email, name, password_hash FROM users WHERE email = $1',
+            [email]
+        );
+
+        // Verify even when the email is unknown so response times don't reveal registered emails
+        const user = userResult.rows[0];
+        const passwordMatches = await verifyPassword(password, user ? user.password_hash : null);
+
+        if (!passwordMatches) {
+            return res.status(401).json({
+                error: 'Invalid credentials',
+                details: 'Email or password is incorrect'
+            });
+        }
+
+        const tokens = await issueTokens(pool, user);
+
+        res.json({
+            status: 'ok',
+            message: 'Logged in successfully',
+            data: {
+                user: {
+                    userId: user.id,
+                    email: user.email,
+                    name: user.name
+                },
+                ...tokens
+            }
+        });
+    } catch (err) {
+        console.error('Error logging in:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /auth/refresh - Rotate a refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({
+            error: 'Missing required field',
+            details: 'refreshToken is required'
+        });
+    }
+
+    let payload;
+    try {
+        payload = verifyRefreshToken(refreshToken);
+    } catch (err) {
+        return res.status(401).json({
+            error: 'Invalid token',
+            details: err.name === 'TokenExpiredError' ? 'Refresh token has expired' : 'Refresh token is invalid'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Revoke the presented token; it can only be used once
+        const revokeResult = await client.query(
+            `UPDATE refresh_tokens
+             SET revoked_at = NOW()
+             WHERE id = $1 AND user_id = $2
+             AND revoked_at IS NULL
+             AND expires_at > NOW()
+             RETURNING id`,
+            [payload.jti, payload.sub]
+        );
+
+        if (revokeResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({
+                error: 'Invalid token',
+                details: 'Refresh token has been revoked'
+            });
+        }
+
+        const userResult = await client.query(
+            'SELECT id, email FROM users WHERE id = $1',
+            [payload.sub]
+        );
+
+        if (userResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({
+                error: 'Invalid token',
+                details: 'Token owner no longer exists'
+            });
+        }
+
+        const tokens = await issueTokens(client, userResult.rows[0]);
+
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'Tokens refreshed successfully',
+            data: tokens
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error refreshing tokens:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// POST /auth/logout - Revoke a refresh token
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({
+            error: 'Missing required field',
+            details: 'refreshToken is required'
+        });
+    }
+
+    let payload;
+    try {
+        payload = verifyRefreshToken(refreshToken);
+    } catch (err) {
+        // Expired or invalid tokens are already unusable
+        return res.json({
+            status: 'ok',
+            message: 'Logged out successfully'
+        });
+    }
+
+    try {
+        await pool.query(
+            `UPDATE refresh_tokens
+             SET revoked_at = NOW()
+             WHERE id = $1 AND revoked_at IS NULL`,
+            [payload.jti]
+        );
+
+        res.json({
+            status: 'ok',
+            message: 'Logged out successfully'
+        });
+    } catch (err) {
+        console.error('Error logging out:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /auth/password-setup - Issue a one-time token for an account that has no password yet
+router.post('/password-setup', requireAdmin, async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({
+            error: 'Missing required field',
+            details: 'email is required'
+        });
+    }
+
+    if (typeof email !== 'string') {
+        return res.status(400).json({
+            error: 'Invalid email',
+            details: 'email must be a string'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const userResult = await client.query(
+            'SELECT id, password_hash FROM users WHERE email = $1 FOR UPDATE',
+            [email]
+        );
+
+        const user = userResult.rows[0];
+        if (!user) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'User not found',
+                details: `No user exists with email ${email}`
+            });
+        }
+
+        if (user.password_hash) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: 'Password already set',
+                details: 'This account can already log in'
+            });
+        }
+
+        // Only the newest token works
+        await client.query(
+            `UPDATE password_setup_tokens
+             SET used_at = NOW()
+             WHERE user_id = $1 AND used_at IS NULL`,
+            [user.id]
+        );
+
+        const setupToken = crypto.randomBytes(32).toString('base64url');
+        const tokenResult = await client.query(
+            `INSERT INTO password_setup_tokens (user_id, token_hash, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(secs => $3))
+             RETURNING expires_at`,
+            [user.id, hashSetupToken(setupToken), passwordSetupTtlSeconds]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            status: 'ok',
+            message: 'Password setup token created',
+            data: {
+                userId: user.id,
+                setupToken,
+                expiresAt: tokenResult.rows[0].expires_at
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error creating password setup token:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// POST /auth/set-password - Redeem a password setup token, set the password and log in
+router.post('/set-password', async (req, res) => {
+    const { setupToken, password } = req.body;
+
+    if (!setupToken || !password) {
+        return res.status(400).json({
+            error: 'Missing required fields',
+            details: {
+                setupToken: !setupToken ? 'Missing setupToken' : null,
+                password: !password ? 'Missing password' : null
+            }
+        });
+    }
+
+    if (typeof setupToken !== 'string') {
+        return res.status(400).json({
+            error: 'Invalid token',
+            details: 'setupToken must be a string'
+        });
+    }
+
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.valid) {
+        return res.status(400).json({
+            error: 'Invalid password',
+            details: passwordValidation.error
+        });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Consume the token; it can only be used once
+        const tokenResult = await client.query(
+            `UPDATE password_setup_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+             RETURNING user_id`,
+            [hashSetupToken(setupToken)]
+        );
+
+        if (tokenResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(401).json({
+                error: 'Invalid token',
+                details: 'Setup token is invalid, expired or already used'
+            });
+        }
+
+        const userResult = await client.query(
+            `UPDATE users
+             SET password_hash = $1
+             WHERE id = $2 AND password_hash IS NULL
+             RETURNING id, email, name`,
+            [passwordHash, tokenResult.rows[0].user_id]
+        );
+
+        if (userResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: 'Password already set',
+                details: 'This account can already log in'
+            });
+        }
+
+        const user = userResult.rows[0];
+        const tokens = await issueTokens(client, user);
+
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'Password set successfully',
+            data: {
+                user: {
+                    userId: user.id,
+                    email: user.email,
+                    name: user.name
+                },
+                ...tokens
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error setting password:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -1,28 +1,63 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
+const { requireAuth, authorize, forbidden } = require('../auth/middleware');
+const { can } = require('../auth/policies');
+const { createNotBlockedCondition, isBlockedBetween } = require('../utils/blocks');
+const { parseLimitOffset, toContainsPattern } = require('../utils/pagination');
+const { createOnlineCondition } = require('../utils/presence');
+const { createNotification } = require('../notifications');
+const { enqueueWebhookEvent } = require('../webhooks');
 
-// POST /connect - Create a new connection between users
-router.post('/', async (req, res) => {
-    const { fromUser, toUser } = req.body;
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return UUID_REGEX.test(uuid);
+};
+
+// Helper function to find the connection row between two users in either direction
+const getConnection = async (client, userId1, userId2) => {
+    const result = await client.query(
+        `SELECT id, from_user, to_user, status FROM connections 
+         WHERE (from_user = $1 AND to_user = $2) OR (from_user = $2 AND to_user = $1)
+         LIMIT 1
+         FOR UPDATE`,
+        [userId1, userId2]
+    );
+    return result.rows[0] || null;
+};
+
+// Helper function to load a pending connection request by id
+const getPendingRequest = async (client, requestId) => {
+    const result = await client.query(
+        `SELECT id, from_user, to_user, status FROM connections 
+         WHERE id = $1 AND status = 'pending'
+         FOR UPDATE`,
+        [requestId]
+    );
+    return result.rows[0] || null;
+};
+
+// POST /connect - Send a connection request
+router.post('/', requireAuth, async (req, res) => {
+    const fromUser = req.user.id;
+    const { toUser } = req.body;
 
     // Validate required fields
-    if (!fromUser || !toUser) {
+    if (!toUser) {
         return res.status(400).json({
             error: 'Missing required fields',
             details: {
-                fromUser: !fromUser ? 'Missing fromUser' : null,
-                toUser: !toUser ? 'Missing toUser' : null
+                toUser: 'Missing toUser'
             }
         });
     }
 
     // Validate UUID format
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!UUID_REGEX.test(fromUser) || !UUID_REGEX.test(toUser)) {
+    if (!isValidUUID(toUser)) {
         return res.status(400).json({
             error: 'Invalid user ID format',
-            details: 'Both fromUser and toUser must be valid UUIDs'
+            details: 'toUser must be a valid UUID'
         });
     }
 
@@ -34,44 +69,417 @@ router.post('/', async (req, res) => {
         });
     }
 
+    const client = await pool.connect();
     try {
+        await client.query('BEGIN');
+
         // First check if both users exist
-        const usersCheck = await pool.query(
+        const usersCheck = await client.query(
             'SELECT id FROM users WHERE id IN ($1, $2)',
             [fromUser, toUser]
         );
 
         if (usersCheck.rows.length !== 2) {
+            await client.query('ROLLBACK');
             return res.status(404).json({
                 error: 'User not found',
                 details: 'One or both users do not exist'
             });
         }
 
-        // Create connection with UPSERT to avoid duplicate errors
-        const result = await pool.query(
-            `INSERT INTO connections (from_user, to_user) 
-             VALUES ($1, $2) 
-             ON CONFLICT (from_user, to_user) DO NOTHING
-             RETURNING *`,
+        // Blocked users cannot send each other requests
+        if (await isBlockedBetween(client, fromUser, toUser)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({
+                error: 'User blocked',
+                details: 'Cannot send a connection request to or from a blocked user'
+            });
+        }
+
+        const existing = await getConnection(client, fromUser, toUser);
+
+        if (existing && existing.status === 'connected') {
+            await client.query('ROLLBACK');
+            return res.json({
+                status: 'ok',
+                message: 'Already connected',
+                data: { requestId: existing.id, status: existing.status }
+            });
+        }
+
+        if (existing && existing.status === 'pending' && existing.from_user === fromUser) {
+            await client.query('ROLLBACK');
+            return res.json({
+                status: 'ok',
+                message: 'Connection request already sent',
+                data: { requestId: existing.id, status: existing.status }
+            });
+        }
+
+        // The other user already asked to connect - treat this as accepting their request
+        if (existing && existing.status === 'pending') {
+            await client.query(
+                `UPDATE connections 
+                 SET status = 'connected', updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $1`,
+                [existing.id]
+            );
+            await createNotification(client, {
+                userId: existing.from_user,
+                type: 'connection.accepted',
+                actorId: fromUser,
+                data: { requestId: existing.id }
+            });
+            await enqueueWebhookEvent(client, 'connection.created', {
+                connectionId: existing.id,
+                fromUserId: existing.from_user,
+                toUserId: existing.to_user
+            });
+            await client.query('COMMIT');
+            return res.json({
+                status: 'ok',
+                message: 'Connected successfully',
+                data: { requestId: existing.id, status: 'connected' }
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO connections (from_user, to_user, status) 
+             VALUES ($1, $2, 'pending') 
+             RETURNING id, status, created_at`,
             [fromUser, toUser]
         );
 
-        // Check if connection was created or already existed
-        if (result.rows.length > 0) {
-            res.json({
-                status: 'ok',
-                message: 'Connected successfully'
+        await createNotification(client, {
+            userId: toUser,
+            type: 'connection.requested',
+            actorId: fromUser,
+            data: { requestId: result.rows[0].id }
+        });
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            status: 'ok',
+            message: 'Connection request sent',
+            data: {
+                requestId: result.rows[0].id,
+                status: result.rows[0].status,
+                createdAt: result.rows[0].created_at
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+
+        if (err.code === '23505') { // Unique violation - concurrent request
+            return res.status(409).json({
+                error: 'Duplicate request',
+                details: 'A connection request between these users already exists'
+            });
+        }
+
+        console.error('Error creating connection request:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /connect/requests/incoming - List pending requests sent to the current user
+router.get('/requests/incoming', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT 
+                c.id as "requestId",
+                c.from_user as "fromUserId",
+                u.name,
+                u.email,
+                c.created_at as "createdAt"
+            FROM connections c
+            JOIN users u ON u.id = c.from_user
+            WHERE c.to_user = $1 AND c.status = 'pending'
+            ORDER BY c.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.json(result.rows.map(row => ({
+            ...row,
+            displayName: row.name || row.email
+        })));
+    } catch (err) {
+        console.error('Error fetching incoming connection requests:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /connect/requests/outgoing - List pending requests sent by the current user
+router.get('/requests/outgoing', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT 
+                c.id as "requestId",
+                c.to_user as "toUserId",
+                u.name,
+                u.email,
+                c.created_at as "createdAt"
+            FROM connections c
+            JOIN users u ON u.id = c.to_user
+            WHERE c.from_user = $1 AND c.status = 'pending'
+            ORDER BY c.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.json(result.rows.map(row => ({
+            ...row,
+            displayName: row.name || row.email
+        })));
+    } catch (err) {
+        console.error('Error fetching outgoing connection requests:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /connect/requests/:requestId/:action - Accept, decline or cancel a pending request
+router.post('/requests/:requestId/:action(accept|decline|cancel)', requireAuth, async (req, res) => {
+    const { requestId, action } = req.params;
+
+    // Validate UUID format
+    if (!isValidUUID(requestId)) {
+        return res.status(400).json({
+            error: 'Invalid requestId',
+            details: 'requestId must be a valid UUID'
+        });
+    }
+
+    // The recipient accepts or declines, the sender cancels
+    const policyAction = action === 'cancel' ? 'connection:cancel' : 'connection:respond';
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const request = await getPendingRequest(client, requestId);
+        if (!request) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'Request not found',
+                details: 'No pending connection request exists with this id'
+            });
+        }
+
+        if (!can(req.user, policyAction, request)) {
+            await client.query('ROLLBACK');
+            return forbidden(res, policyAction);
+        }
+
+        if (action === 'accept') {
+            await client.query(
+                `UPDATE connections 
+                 SET status = 'connected', updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = $1`,
+                [requestId]
+            );
+            await createNotification(client, {
+                userId: request.from_user,
+                type: 'connection.accepted',
+                actorId: req.user.id,
+                data: { requestId }
+            });
+            await enqueueWebhookEvent(client, 'connection.created', {
+                connectionId: request.id,
+                fromUserId: request.from_user,
+                toUserId: request.to_user
             });
         } else {
-            res.status(200).json({
-                status: 'ok',
-                message: 'Already connected'
+            // Declined and cancelled requests are removed so a new request can be sent later
+            await client.query('DELETE FROM connections WHERE id = $1', [requestId]);
+        }
+
+        await client.query('COMMIT');
+
+        const messages = {
+            accept: 'Connection request accepted',
+            decline: 'Connection request declined',
+            cancel: 'Connection request cancelled'
+        };
+
+        res.json({
+            status: 'ok',
+            message: messages[action],
+            data: {
+                requestId,
+                status: action === 'accept' ? 'connected' : null
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error handling connection request (${action}):`, err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// Helper function to validate the target of a block/unblock request
+const validateBlockTarget = (req, res) => {
+    const { userId } = req.body;
+
+    if (!userId) {
+        res.status(400).json({
+            error: 'Missing required fields',
+            details: {
+                userId: 'Missing userId'
+            }
+        });
+        return null;
+    }
+
+    if (!isValidUUID(userId)) {
+        res.status(400).json({
+            error: 'Invalid user ID format',
+            details: 'userId must be a valid UUID'
+        });
+        return null;
+    }
+
+    if (userId === req.user.id) {
+        res.status(400).json({
+            error: 'Invalid block',
+            details: 'Cannot block yourself'
+        });
+        return null;
+    }
+
+    return userId;
+};
+
+// GET /connect/block - List users blocked by the current user
+router.get('/block', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT 
+                c.to_user as "userId",
+                u.name,
+                u.email,
+                c.updated_at as "blockedAt"
+            FROM connections c
+            JOIN users u ON u.id = c.to_user
+            WHERE c.from_user = $1 AND c.status = 'blocked'
+            ORDER BY c.updated_at DESC`,
+            [req.user.id]
+        );
+
+        res.json(result.rows.map(row => ({
+            ...row,
+            displayName: row.name || row.email
+        })));
+    } catch (err) {
+        console.error('Error fetching blocked users:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /connect/block - Block a user
+router.post('/block', requireAuth, async (req, res) => {
+    const blockedUser = validateBlockTarget(req, res);
+    if (!blockedUser) {
+        return;
+    }
+
+    const blocker = req.user.id;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const userCheck = await client.query('SELECT id FROM users WHERE id = $1', [blockedUser]);
+        if (userCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'User not found',
+                details: `No user exists with id ${blockedUser}`
             });
         }
+
+        // Blocking ends any connection or pending request between the two users.
+        // A block placed by the other user is kept.
+        await client.query(
+            `DELETE FROM connections 
+             WHERE ((from_user = $1 AND to_user = $2) OR (from_user = $2 AND to_user = $1))
+             AND NOT (from_user = $2 AND status = 'blocked')`,
+            [blocker, blockedUser]
+        );
+
+        await client.query(
+            `INSERT INTO connections (from_user, to_user, status) 
+             VALUES ($1, $2, 'blocked')`,
+            [blocker, blockedUser]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'User blocked',
+            data: { userId: blockedUser }
+        });
     } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error blocking user:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
 
-        console.error('Error creating connection:', err);
+// DELETE /connect/block - Unblock a user
+router.delete('/block', requireAuth, async (req, res) => {
+    const blockedUser = validateBlockTarget(req, res);
+    if (!blockedUser) {
+        return;
+    }
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM connections 
+             WHERE from_user = $1 AND to_user = $2 AND status = 'blocked'
+             RETURNING id`,
+            [req.user.id, blockedUser]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Block not found',
+                details: 'You have not blocked this user'
+            });
+        }
+
+        // Unblocking does not restore the previous connection
+        res.json({
+            status: 'ok',
+            message: 'User unblocked',
+            data: { userId: blockedUser }
+        });
+    } catch (err) {
+        console.error('Error unblocking user:', err);
         res.status(500).json({
             error: 'Internal server error',
             details: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -79,19 +487,95 @@ router.post('/', async (req, res) => {
     }
 });
 
-// GET /connections/:userId - Get all connections for a user
-router.get('/:userId', async (req, res) => {
+// Columns describing a connected user; expects the connected user as "u",
+// their status as "us" and the viewer's connections in a "my_connections" CTE
+const CONNECTED_USER_COLUMNS = `
+    u.id,
+    u.name,
+    u.email,
+    us.last_seen,
+    COALESCE(us.is_broadcasting, false) as is_broadcasting,
+    COALESCE(${createOnlineCondition('us')}, false) as is_online,
+    EXISTS (
+        SELECT 1 FROM profile_items pi 
+        WHERE pi.user_id = u.id AND pi.item_type = 'profile_image'
+    ) as has_profile_image,
+    (
+        SELECT COUNT(*) FROM connections c2
+        WHERE c2.status = 'connected'
+        AND (
+            (c2.from_user = u.id AND c2.to_user IN (SELECT user_id FROM my_connections)) OR
+            (c2.to_user = u.id AND c2.from_user IN (SELECT user_id FROM my_connections))
+        )
+    ) as mutual_count
+`;
+
+// CTE listing the accepted connections of the user in $1
+const MY_CONNECTIONS_CTE = `
+    my_connections AS (
+        SELECT 
+            CASE WHEN from_user = $1 THEN to_user ELSE from_user END as user_id,
+            updated_at as connected_since
+        FROM connections 
+        WHERE (from_user = $1 OR to_user = $1)
+        AND status = 'connected'
+    )
+`;
+
+const CONNECTION_SORTS = {
+    recent: 'mc.connected_since DESC, u.id',
+    name: 'LOWER(COALESCE(u.name, u.email)) ASC, u.id'
+};
+
+// Transform a connected user row for the response
+const toConnectedUser = (row) => ({
+    userId: row.id,
+    name: row.name,
+    email: row.email,
+    displayName: row.name || row.email,
+    avatarUrl: row.has_profile_image ? `/profiles/${row.id}/image` : null,
+    isOnline: row.is_online,
+    isBroadcasting: row.is_broadcasting,
+    lastSeen: row.last_seen,
+    connectedSince: row.connected_since,
+    mutualConnectionCount: parseInt(row.mutual_count)
+});
+
+// GET /connect/:userId - Get accepted connections for a user, with profile and status details
+router.get('/:userId', requireAuth, authorize('connections:read', req => ({ id: req.params.userId })), async (req, res) => {
     const { userId } = req.params;
+    const { sort = 'recent', q } = req.query;
 
     // Validate UUID format
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!UUID_REGEX.test(userId)) {
+    if (!isValidUUID(userId)) {
         return res.status(400).json({
             error: 'Invalid user ID format',
             details: 'User ID must be a valid UUID'
         });
     }
 
+    const pagination = parseLimitOffset(req.query);
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    if (!CONNECTION_SORTS[sort]) {
+        return res.status(400).json({
+            error: 'Invalid sort',
+            details: `sort must be one of: ${Object.keys(CONNECTION_SORTS).join(', ')}`
+        });
+    }
+
+    if (q !== undefined && typeof q !== 'string') {
+        return res.status(400).json({
+            error: 'Invalid q',
+            details: 'q must be a single search string'
+        });
+    }
+
     try {
         // Check if user exists
         const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
@@ -102,19 +586,29 @@ router.get('/:userId', async (req, res) => {
             });
         }
 
-        // Fetch all connections where user is either from_user or to_user
         const result = await pool.query(
-            `SELECT 
-                CASE 
-                    WHEN from_user = $1 THEN to_user
-                    ELSE from_user
-                END as connected_user_id
-            FROM connections 
-            WHERE from_user = $1 OR to_user = $1`,
-            [userId]
+            `WITH ${MY_CONNECTIONS_CTE}
+            SELECT 
+                ${CONNECTED_USER_COLUMNS},
+                mc.connected_since,
+                COUNT(*) OVER() as total_count
+            FROM my_connections mc
+            JOIN users u ON u.id = mc.user_id
+            LEFT JOIN user_status us ON us.user_id = u.id
+            WHERE ($2::text IS NULL OR COALESCE(u.name, u.email) ILIKE $2)
+            ORDER BY ${CONNECTION_SORTS[sort]}
+            LIMIT $3 OFFSET $4`,
+            [userId, q ? toContainsPattern(q) : null, pagination.limit, pagination.offset]
         );
 
-        res.json(result.rows.map(row => row.connected_user_id));
+        res.json({
+            data: result.rows.map(toConnectedUser),
+            pagination: {
+                limit: pagination.limit,
+                offset: pagination.offset,
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+            }
+        });
     } catch (err) {
         console.error('Error fetching connections:', err);
         res.status(500).json({
@@ -124,4 +618,66 @@ router.get('/:userId', async (req, res) => {
     }
 });
 
+// GET /connect/:userId/mutual/:otherUserId - Get connections shared by two users
+router.get('/:userId/mutual/:otherUserId', requireAuth, authorize('connections:read-mutual', req => ({ user_ids: [req.params.userId, req.params.otherUserId] })), async (req, res) => {
+    const { userId, otherUserId } = req.params;
+
+    // Validate UUID format
+    if (!isValidUUID(userId) || !isValidUUID(otherUserId)) {
+        return res.status(400).json({
+            error: 'Invalid user ID format',
+            details: 'Both user IDs must be valid UUIDs'
+        });
+    }
+
+    const pagination = parseLimitOffset(req.query);
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        // Connections of $1 that are also connected to $2
+        const result = await pool.query(
+            `WITH ${MY_CONNECTIONS_CTE}
+            SELECT 
+                ${CONNECTED_USER_COLUMNS},
+                mc.connected_since,
+                COUNT(*) OVER() as total_count
+            FROM my_connections mc
+            JOIN users u ON u.id = mc.user_id
+            LEFT JOIN user_status us ON us.user_id = u.id
+            WHERE EXISTS (
+                SELECT 1 FROM connections c3
+                WHERE c3.status = 'connected'
+                AND (
+                    (c3.from_user = $2 AND c3.to_user = u.id) OR
+                    (c3.to_user = $2 AND c3.from_user = u.id)
+                )
+            )
+            AND ${createNotBlockedCondition('u.id', '$5')}
+            ORDER BY LOWER(COALESCE(u.name, u.email)) ASC, u.id
+            LIMIT $3 OFFSET $4`,
+            [userId, otherUserId, pagination.limit, pagination.offset, req.user.id]
+        );
+
+        res.json({
+            data: result.rows.map(toConnectedUser),
+            pagination: {
+                limit: pagination.limit,
+                offset: pagination.offset,
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching mutual connections:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
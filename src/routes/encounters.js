@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { requireAuth, authorize } = require('../auth/middleware');
+const { createNotBlockedCondition } = require('../utils/blocks');
+const { parseLimitOffset } = require('../utils/pagination');
+const { getPrivacySettings, updatePrivacySettings, publicDisplayName } = require('../privacy');
+
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return UUID_REGEX.test(uuid);
+};
+
+router.use(requireAuth);
+
+// GET /encounters/settings - Whether the current user takes part in encounter detection
+router.get('/settings', async (req, res) => {
+    try {
+        const settings = await getPrivacySettings(pool, req.user.id);
+
+        res.json({
+            data: {
+                shareEncounters: settings.shareEncounters
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching encounter settings:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// PUT /encounters/settings - Opt in or out; opting out also deletes recorded encounters
+router.put('/settings', async (req, res) => {
+    const { shareEncounters } = req.body;
+
+    if (typeof shareEncounters !== 'boolean') {
+        return res.status(400).json({
+            error: 'Invalid shareEncounters',
+            details: 'shareEncounters must be a boolean'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const settings = await updatePrivacySettings(client, req.user.id, { shareEncounters });
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'Encounter settings updated',
+            data: {
+                shareEncounters: settings.shareEncounters
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error updating encounter settings:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /encounters/:userId - People the user crossed paths with, most recent first.
+// Only a grid-snapped place is returned, never the other person's coordinates.
+router.get('/:userId', authorize('encounters:read', req => ({ id: req.params.userId })), async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUUID(userId)) {
+        return res.status(400).json({
+            error: 'Invalid user ID format',
+            details: 'User ID must be a valid UUID'
+        });
+    }
+
+    // Defaults to the start of the current UTC day; clients pass their local midnight as since
+    let since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    if (req.query.since !== undefined) {
+        since = new Date(req.query.since);
+        if (isNaN(since.getTime())) {
+            return res.status(400).json({
+                error: 'Invalid since',
+                details: 'since must be an ISO 8601 timestamp'
+            });
+        }
+    }
+
+    const pagination = parseLimitOffset(req.query);
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `WITH mine AS (
+                SELECT
+                    CASE WHEN e.user_a_id = $1 THEN e.user_b_id ELSE e.user_a_id END AS other_user_id,
+                    e.encounter_count,
+                    e.first_encountered_at,
+                    e.last_encountered_at,
+                    e.approx_latitude,
+                    e.approx_longitude
+                FROM encounters e
+                WHERE (e.user_a_id = $1 OR e.user_b_id = $1)
+                AND e.last_encountered_at >= $2
+            ),
+            grouped AS (
+                SELECT
+                    other_user_id,
+                    SUM(encounter_count)::int AS encounter_count,
+                    MIN(first_encountered_at) AS first_encountered_at,
+                    MAX(last_encountered_at) AS last_encountered_at,
+                    (array_agg(approx_latitude ORDER BY last_encountered_at DESC))[1] AS approx_latitude,
+                    (array_agg(approx_longitude ORDER BY last_encountered_at DESC))[1] AS approx_longitude
+                FROM mine
+                GROUP BY other_user_id
+            )
+            SELECT
+                g.*,
+                u.name,
+                EXISTS (
+                    SELECT 1 FROM profile_items pi
+                    WHERE pi.user_id = u.id AND pi.item_type = 'profile_image'
+                ) AS has_profile_image,
+                COUNT(*) OVER() AS total_count
+            FROM grouped g
+            JOIN users u ON u.id = g.other_user_id
+            WHERE ${createNotBlockedCondition('g.other_user_id', '$1')}
+            ORDER BY g.last_encountered_at DESC, g.other_user_id ASC
+            LIMIT $3 OFFSET $4`,
+            [userId, since, pagination.limit, pagination.offset]
+        );
+
+        res.json({
+            data: result.rows.map(row => ({
+                userId: row.other_user_id,
+                name: row.name,
+                displayName: publicDisplayName(row.name),
+                avatarUrl: row.has_profile_image ? `/profiles/${row.other_user_id}/image` : null,
+                count: row.encounter_count,
+                firstEncounteredAt: row.first_encountered_at,
+                lastEncounteredAt: row.last_encountered_at,
+                approximateLocation: {
+                    latitude: row.approx_latitude,
+                    longitude: row.approx_longitude
+                }
+            })),
+            pagination: {
+                limit: pagination.limit,
+                offset: pagination.offset,
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+            },
+            query: {
+                since
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching encounters:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+module.exports = router;
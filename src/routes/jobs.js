@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { requireAdmin } = require('../auth/middleware');
+const { getJob, listJobs, toJobRun, runJob } = require('../jobs');
+const { parseLimitOffset } = require('../utils/pagination');
+
+// Helper function to send the 404 for an unregistered job name
+const jobNotFound = (res, name) => res.status(404).json({
+    error: 'Job not found',
+    details: `No job is registered with name ${name}`
+});
+
+// Job management is restricted to internal services
+router.use(requireAdmin);
+
+// GET /jobs - Registered jobs with their schedule and latest run
+router.get('/', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT DISTINCT ON (job_name) *
+             FROM job_runs
+             ORDER BY job_name, started_at DESC`
+        );
+        const lastRuns = new Map(result.rows.map(row => [row.job_name, toJobRun(row)]));
+
+        res.json(listJobs().map(job => ({
+            name: job.name,
+            description: job.description,
+            intervalSeconds: job.intervalSeconds,
+            lastRun: lastRuns.get(job.name) || null
+        })));
+    } catch (err) {
+        console.error('Error fetching jobs:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /jobs/:name/runs - Run history for a job, most recent first
+router.get('/:name/runs', async (req, res) => {
+    const { name } = req.params;
+    const { status } = req.query;
+
+    if (!getJob(name)) {
+        return jobNotFound(res, name);
+    }
+
+    if (status && !['running', 'succeeded', 'failed'].includes(status)) {
+        return res.status(400).json({
+            error: 'Invalid status',
+            details: 'status must be one of: running, succeeded, failed'
+        });
+    }
+
+    const pagination = parseLimitOffset(req.query);
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT *, COUNT(*) OVER() AS total_count
+             FROM job_runs
+             WHERE job_name = $1
+             AND ($2::text IS NULL OR status = $2)
+             ORDER BY started_at DESC, id
+             LIMIT $3 OFFSET $4`,
+            [name, status || null, pagination.limit, pagination.offset]
+        );
+
+        res.json({
+            data: result.rows.map(toJobRun),
+            pagination: {
+                limit: pagination.limit,
+                offset: pagination.offset,
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching job runs:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /jobs/:name/run - Run a job now and wait for it to finish
+router.post('/:name/run', async (req, res) => {
+    const { name } = req.params;
+
+    if (!getJob(name)) {
+        return jobNotFound(res, name);
+    }
+
+    try {
+        const { run, skipped } = await runJob(name, { triggeredBy: 'manual' });
+
+        if (skipped === 'locked') {
+            return res.status(409).json({
+                error: 'Job already running',
+                details: `${name} is running on this or another instance`
+            });
+        }
+
+        res.json({
+            status: 'ok',
+            message: run.status === 'succeeded' ? 'Job finished' : 'Job failed',
+            data: run
+        });
+    } catch (err) {
+        console.error('Error running job:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+module.exports = router;
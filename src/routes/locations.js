@@ -1,18 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const { pool, enablePostGISExtensions } = require('../config/db');
-const { createNearbyCondition } = require('../utils/geo');
+const { parseBoundingBox, boundingBoxParams } = require('../utils/geo');
+const { createNotBlockedCondition } = require('../utils/blocks');
+const { createOnlineCondition } = require('../utils/presence');
+const { resolveRadius } = require('../utils/nearbyParams');
+const nearbyConfig = require('../config/nearby');
+const { parseCursorPagination, buildCursorPage } = require('../utils/pagination');
+const { resolveZoom, gridCellDegrees, isClusteredZoom, createClusterQuery, toCluster } = require('../utils/clusters');
+const clusterConfig = require('../config/clusters');
+const { requireAuth, authorize } = require('../auth/middleware');
+const { domainEvents } = require('../events');
+const {
+    createLocationPrecisionJoin,
+    createPublicCoordinateColumns,
+    createPublicDistanceExpression,
+    createPublicNearbyCondition,
+    createPublicWithinBoundsCondition,
+    publicDisplayName,
+    publicPositionSql
+} = require('../privacy');
+const { appendLocationHistory, purgeLocationHistory, retentionStart } = require('../locations/history');
+const { checkTravel } = require('../locations/travel');
+const locationHistoryConfig = require('../config/locationHistory');
+
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return UUID_REGEX.test(uuid);
+};
+
+// Parses an optional ISO timestamp query parameter
+const parseTimestamp = (value) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
 
 // POST /locations
-router.post('/', async (req, res) => {
-    const { userId, lat, lng } = req.body;
+router.post('/', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const { lat, lng } = req.body;
 
     // Validate input types and ranges
-    if (!userId || !lat || !lng) {
+    if (!lat || !lng) {
         return res.status(400).json({
             error: 'Missing required fields',
             details: {
-                userId: !userId ? 'Missing userId' : null,
                 lat: !lat ? 'Missing latitude' : null,
                 lng: !lng ? 'Missing longitude' : null
             }
@@ -34,27 +70,38 @@ router.post('/', async (req, res) => {
         });
     }
 
-    // Validate UUID format
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!UUID_REGEX.test(userId)) {
-        return res.status(400).json({
-            error: 'Invalid userId',
-            details: 'userId must be a valid UUID'
-        });
-    }
-
+    const client = await pool.connect();
     try {
+        await client.query('BEGIN');
+
         // First check if user exists
-        const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+        const userCheck = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
         if (userCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({
                 error: 'User not found',
                 details: `No user exists with id ${userId}`
             });
         }
 
+        // Rejected updates still commit so the travel flag is kept
+        const travel = await checkTravel(client, {
+            userId,
+            latitude: parseFloat(lat),
+            longitude: parseFloat(lng),
+            source: 'location'
+        });
+        if (!travel.allowed) {
+            await client.query('COMMIT');
+            return res.status(422).json({
+                error: 'Implausible travel',
+                code: 'IMPOSSIBLE_TRAVEL',
+                details: travel.details
+            });
+        }
+
         // Update or insert location using exact specified query
-        const result = await pool.query(
+        const result = await client.query(
             `INSERT INTO locations (user_id, latitude, longitude, created_at)
              VALUES ($1, $2, $3, NOW())
              ON CONFLICT (user_id) DO UPDATE
@@ -65,6 +112,18 @@ router.post('/', async (req, res) => {
             [userId, parseFloat(lat), parseFloat(lng)]
         );
 
+        // Keep the trail alongside the current position and drop this user's expired points
+        await appendLocationHistory(client, userId, parseFloat(lat), parseFloat(lng));
+        await purgeLocationHistory(client, { userId });
+
+        await client.query('COMMIT');
+
+        domainEvents.emit('location.updated', {
+            userId,
+            latitude: result.rows[0].latitude,
+            longitude: result.rows[0].longitude
+        });
+
         res.json({
             status: 'ok',
             message: 'Location saved successfully',
@@ -76,26 +135,28 @@ router.post('/', async (req, res) => {
             }
         });
     } catch (err) {
+        await client.query('ROLLBACK');
         console.error('Error saving location:', err);
         res.status(500).json({
             error: 'Internal server error',
             details: process.env.NODE_ENV === 'development' ? err.message : undefined
         });
+    } finally {
+        client.release();
     }
 });
 
 // GET /locations/nearby
-router.get('/nearby', async (req, res) => {
+router.get('/nearby', requireAuth, async (req, res) => {
     const { lat, lng, radius } = req.query;
 
     // Validate input
-    if (!lat || !lng || !radius) {
+    if (!lat || !lng) {
         return res.status(400).json({
             error: 'Missing required query parameters',
             details: {
                 lat: !lat ? 'Missing latitude' : null,
-                lng: !lng ? 'Missing longitude' : null,
-                radius: !radius ? 'Missing radius' : null
+                lng: !lng ? 'Missing longitude' : null
             }
         });
     }
@@ -103,15 +164,13 @@ router.get('/nearby', async (req, res) => {
     // Validate numeric values
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lng);
-    const radiusNum = parseFloat(radius);
 
-    if (isNaN(latitude) || isNaN(longitude) || isNaN(radiusNum)) {
+    if (isNaN(latitude) || isNaN(longitude)) {
         return res.status(400).json({
             error: 'Invalid parameters',
             details: {
                 lat: isNaN(latitude) ? 'Must be a number' : null,
-                lng: isNaN(longitude) ? 'Must be a number' : null,
-                radius: isNaN(radiusNum) ? 'Must be a number' : null
+                lng: isNaN(longitude) ? 'Must be a number' : null
             }
         });
     }
@@ -131,10 +190,20 @@ router.get('/nearby', async (req, res) => {
         });
     }
 
-    if (radiusNum <= 0) {
+    // Radius is optional and clamped to the configured bounds
+    const { radiusKm, error: radiusError } = resolveRadius(radius, nearbyConfig.locations.radiusKm);
+    if (radiusError) {
         return res.status(400).json({
             error: 'Invalid radius',
-            details: 'Radius must be greater than 0'
+            details: radiusError
+        });
+    }
+
+    const pagination = parseCursorPagination(req.query, { distance: 'number', userId: 'uuid', snapshot: 'timestamp' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
         });
     }
 
@@ -142,34 +211,73 @@ router.get('/nearby', async (req, res) => {
     try {
         await enablePostGISExtensions(client);
 
+        // Distance, ordering and the radius test all use each user's public position
+        const distanceExpression = createPublicDistanceExpression('l', '$1', '$2');
+
+        // Every page only sees locations posted up to the first page's snapshot ($6), so a
+        // user who moves mid-scroll can't jump to a different place in the order
+        const queryParams = [
+            latitude, longitude, radiusKm, req.user.id, pagination.limit + 1,
+            pagination.cursor ? pagination.cursor.snapshot : null
+        ];
+
+        // Resume after the last row of the previous page (distance ASC, user_id ASC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                ${distanceExpression} > $7::float
+                OR (${distanceExpression} = $7::float AND l.user_id > $8::uuid)
+            )`;
+            queryParams.push(pagination.cursor.distance, pagination.cursor.userId);
+        }
+
         const query = `
             SELECT 
                 u.id as "userId",
-                u.email,
                 u.name,
-                l.latitude,
-                l.longitude,
+                ${createPublicCoordinateColumns('l')},
+                ${distanceExpression} as distance,
                 l.created_at as "locationUpdatedAt",
+                COALESCE($6::timestamptz, NOW())::text as cursor_snapshot,
                 us.last_seen as "lastSeen",
                 us.is_broadcasting as "isBroadcasting"
             FROM locations l
             JOIN users u ON u.id = l.user_id
             JOIN user_status us ON u.id = us.user_id
-            WHERE ${createNearbyCondition('l')}
+            ${createLocationPrecisionJoin('l.user_id')}
+            WHERE ${createPublicNearbyCondition('l', { lat: '$1', lng: '$2', radiusMeters: '($3::float * 1000.0)' })}
             AND us.is_broadcasting = true
-            AND us.last_seen > NOW() - INTERVAL '3 minutes'
-            ORDER BY l.created_at DESC;
+            AND ${createOnlineCondition('us')}
+            AND ${createNotBlockedCondition('u.id', '$4')}
+            AND l.created_at <= COALESCE($6::timestamptz, NOW())
+            ${cursorCondition}
+            ORDER BY distance ASC, l.user_id ASC
+            LIMIT $5;
         `;
 
-        const result = await client.query(query, [latitude, longitude, radiusNum]);
+        const result = await client.query(query, queryParams);
+
+        // Cursor keys use the exact distance, not the rounded output value
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            distance: row.distance,
+            userId: row.userId,
+            snapshot: row.cursor_snapshot
+        }));
 
         // Transform the results to include displayName
-        const transformedResults = result.rows.map(row => ({
+        const transformedResults = page.rows.map(({ cursor_snapshot, ...row }) => ({
             ...row,
-            displayName: row.name || row.email
+            displayName: publicDisplayName(row.name),
+            distance: Math.round(row.distance) // Round to nearest meter
         }));
 
-        res.json(transformedResults);
+        res.json({
+            data: transformedResults,
+            nextCursor: page.nextCursor,
+            query: {
+                radiusKm
+            }
+        });
     } catch (err) {
         console.error('Error fetching nearby locations:', err);
         res.status(500).json({
@@ -181,4 +289,329 @@ router.get('/nearby', async (req, res) => {
     }
 });
 
+// GET /locations/within - Broadcasting users inside a south-west/north-east bounding box
+router.get('/within', requireAuth, async (req, res) => {
+    const box = parseBoundingBox(req.query);
+    if (box.error) {
+        return res.status(400).json({
+            error: 'Invalid bounding box',
+            details: box.error
+        });
+    }
+
+    const pagination = parseCursorPagination(req.query, { createdAt: 'timestamp', userId: 'uuid', snapshot: 'timestamp' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await enablePostGISExtensions(client);
+
+        // Every page only sees locations posted up to the first page's snapshot ($10). A user
+        // who moves mid-scroll would otherwise jump back to the top and be skipped.
+        const queryParams = [
+            ...boundingBoxParams(box), req.user.id, pagination.limit + 1,
+            pagination.cursor ? pagination.cursor.snapshot : null
+        ];
+
+        // Resume after the last row of the previous page (created_at DESC, user_id ASC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                l.created_at < $11::timestamptz
+                OR (l.created_at = $11::timestamptz AND l.user_id > $12::uuid)
+            )`;
+            queryParams.push(pagination.cursor.createdAt, pagination.cursor.userId);
+        }
+
+        const query = `
+            SELECT 
+                u.id as "userId",
+                u.name,
+                ${createPublicCoordinateColumns('l')},
+                l.created_at as "locationUpdatedAt",
+                l.created_at::text as cursor_created_at,
+                COALESCE($10::timestamptz, NOW())::text as cursor_snapshot,
+                us.last_seen as "lastSeen",
+                us.is_broadcasting as "isBroadcasting"
+            FROM locations l
+            JOIN users u ON u.id = l.user_id
+            JOIN user_status us ON u.id = us.user_id
+            ${createLocationPrecisionJoin('l.user_id')}
+            WHERE ${createPublicWithinBoundsCondition('l', box)}
+            AND us.is_broadcasting = true
+            AND ${createOnlineCondition('us')}
+            AND ${createNotBlockedCondition('u.id', '$8')}
+            AND l.created_at <= COALESCE($10::timestamptz, NOW())
+            ${cursorCondition}
+            ORDER BY l.created_at DESC, l.user_id ASC
+            LIMIT $9;
+        `;
+
+        const result = await client.query(query, queryParams);
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            createdAt: row.cursor_created_at,
+            userId: row.userId,
+            snapshot: row.cursor_snapshot
+        }));
+
+        res.json({
+            data: page.rows.map(({ cursor_created_at, cursor_snapshot, ...row }) => ({
+                ...row,
+                displayName: publicDisplayName(row.name)
+            })),
+            nextCursor: page.nextCursor,
+            query: {
+                bounds: {
+                    swLat: box.swLat,
+                    swLng: box.swLng,
+                    neLat: box.neLat,
+                    neLng: box.neLng
+                },
+                crossesAntimeridian: box.crossesAntimeridian
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching locations within bounds:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /locations/clusters - Grid clusters of broadcasting users in a bounding box, or
+// the individual users once zoomed in past clusterConfig.pointsFromZoom. Mood and
+// category breakdowns come from each user's latest unexpired ping.
+router.get('/clusters', requireAuth, async (req, res) => {
+    const box = parseBoundingBox(req.query);
+    if (box.error) {
+        return res.status(400).json({
+            error: 'Invalid bounding box',
+            details: box.error
+        });
+    }
+
+    const { zoom, error: zoomError } = resolveZoom(req.query.zoom);
+    if (zoomError) {
+        return res.status(400).json({
+            error: 'Invalid zoom',
+            details: zoomError
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await enablePostGISExtensions(client);
+
+        // $1-$7 hold the bounding box, see boundingBoxParams
+        const queryParams = [...boundingBoxParams(box), req.user.id];
+        const whereClause = `
+            ${createPublicWithinBoundsCondition('l', box)}
+            AND us.is_broadcasting = true
+            AND ${createOnlineCondition('us')}
+            AND ${createNotBlockedCondition('u.id', '$8')}
+        `;
+
+        const clustered = isClusteredZoom(zoom);
+        let clusters = [];
+        let points = [];
+        let truncated;
+
+        if (clustered) {
+            queryParams.push(gridCellDegrees(zoom), clusterConfig.maxClusters + 1);
+            const clusterPosition = publicPositionSql('l');
+            const query = createClusterQuery(
+                `SELECT ${clusterPosition.latitude} AS latitude, ${clusterPosition.longitude} AS longitude, lp.mood, lp.category
+                 FROM locations l
+                 JOIN users u ON u.id = l.user_id
+                 JOIN user_status us ON u.id = us.user_id
+                 ${createLocationPrecisionJoin('l.user_id')}
+                 LEFT JOIN LATERAL (
+                     SELECT mood, category
+                     FROM pings
+                     WHERE pings.user_id = l.user_id AND pings.expires_at > NOW()
+                     ORDER BY pings.created_at DESC
+                     LIMIT 1
+                 ) lp ON true
+                 WHERE ${whereClause}`,
+                '$9',
+                '$10'
+            );
+            const result = await client.query(query, queryParams);
+            truncated = result.rows.length > clusterConfig.maxClusters;
+            clusters = result.rows.slice(0, clusterConfig.maxClusters).map(row => toCluster(row, zoom));
+        } else {
+            queryParams.push(clusterConfig.maxPoints + 1);
+            const result = await client.query(
+                `SELECT 
+                    u.id as "userId",
+                    u.name,
+                    ${createPublicCoordinateColumns('l')},
+                    l.created_at as "locationUpdatedAt",
+                    us.last_seen as "lastSeen"
+                FROM locations l
+                JOIN users u ON u.id = l.user_id
+                JOIN user_status us ON u.id = us.user_id
+                ${createLocationPrecisionJoin('l.user_id')}
+                WHERE ${whereClause}
+                ORDER BY l.created_at DESC, l.user_id ASC
+                LIMIT $9`,
+                queryParams
+            );
+            truncated = result.rows.length > clusterConfig.maxPoints;
+            points = result.rows.slice(0, clusterConfig.maxPoints).map(row => ({
+                ...row,
+                displayName: publicDisplayName(row.name)
+            }));
+        }
+
+        res.json({
+            data: {
+                clusters,
+                points
+            },
+            query: {
+                bounds: {
+                    swLat: box.swLat,
+                    swLng: box.swLng,
+                    neLat: box.neLat,
+                    neLng: box.neLng
+                },
+                crossesAntimeridian: box.crossesAntimeridian,
+                zoom,
+                clustered,
+                cellSizeDegrees: clustered ? gridCellDegrees(zoom) : null,
+                truncated
+            }
+        });
+    } catch (err) {
+        console.error('Error clustering locations:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /locations/:userId/history - Location trail for a time range, owner only
+router.get('/:userId/history', requireAuth, authorize('location-history:read', req => ({ id: req.params.userId })), async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUUID(userId)) {
+        return res.status(400).json({
+            error: 'Invalid user ID format',
+            details: 'User ID must be a valid UUID'
+        });
+    }
+
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    if (from === undefined || to === undefined) {
+        return res.status(400).json({
+            error: 'Invalid time range',
+            details: {
+                from: from === undefined ? 'Must be an ISO 8601 timestamp' : null,
+                to: to === undefined ? 'Must be an ISO 8601 timestamp' : null
+            }
+        });
+    }
+
+    // Nothing older than the retention window is returned, even if not yet purged
+    const now = new Date();
+    const rangeFrom = from && from > retentionStart(now) ? from : retentionStart(now);
+    const rangeTo = to || now;
+    if (rangeFrom > rangeTo) {
+        return res.status(400).json({
+            error: 'Invalid time range',
+            details: 'from must be before to and within the retention window'
+        });
+    }
+
+    const { maxPoints: bounds } = locationHistoryConfig;
+    let maxPoints = bounds.default;
+    if (req.query.maxPoints !== undefined) {
+        maxPoints = parseInt(req.query.maxPoints, 10);
+        if (isNaN(maxPoints) || maxPoints < 2) {
+            return res.status(400).json({
+                error: 'Invalid maxPoints',
+                details: 'maxPoints must be an integer of at least 2'
+            });
+        }
+        maxPoints = Math.min(maxPoints, bounds.max);
+    }
+
+    try {
+        const countResult = await pool.query(
+            `SELECT COUNT(*) AS total
+             FROM location_history
+             WHERE user_id = $1 AND recorded_at BETWEEN $2 AND $3`,
+            [userId, rangeFrom, rangeTo]
+        );
+        const totalPoints = parseInt(countResult.rows[0].total);
+        const downsampled = totalPoints > maxPoints;
+
+        // Long ranges are split into maxPoints equal time buckets and the first
+        // point of each bucket is kept, so the shape of the trail is preserved
+        const query = downsampled
+            ? `SELECT latitude, longitude, recorded_at
+               FROM (
+                   SELECT DISTINCT ON (bucket) latitude, longitude, recorded_at
+                   FROM (
+                       SELECT latitude, longitude, recorded_at,
+                              width_bucket(
+                                  EXTRACT(EPOCH FROM recorded_at),
+                                  EXTRACT(EPOCH FROM $2::timestamptz),
+                                  EXTRACT(EPOCH FROM $3::timestamptz) + 0.001,
+                                  $4
+                              ) AS bucket
+                       FROM location_history
+                       WHERE user_id = $1 AND recorded_at BETWEEN $2 AND $3
+                   ) bucketed
+                   ORDER BY bucket, recorded_at ASC
+               ) sampled
+               ORDER BY recorded_at ASC`
+            : `SELECT latitude, longitude, recorded_at
+               FROM location_history
+               WHERE user_id = $1 AND recorded_at BETWEEN $2 AND $3
+               ORDER BY recorded_at ASC`;
+
+        const params = [userId, rangeFrom, rangeTo];
+        if (downsampled) {
+            params.push(maxPoints);
+        }
+        const result = await pool.query(query, params);
+
+        res.json({
+            data: result.rows.map(row => ({
+                latitude: row.latitude,
+                longitude: row.longitude,
+                recordedAt: row.recorded_at
+            })),
+            query: {
+                from: rangeFrom.toISOString(),
+                to: rangeTo.toISOString(),
+                maxPoints,
+                totalPoints,
+                downsampled
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching location history:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,403 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { requireAuth } = require('../auth/middleware');
+const { createNotBlockedCondition, isBlockedBetween } = require('../utils/blocks');
+const { parseCursorPagination, buildCursorPage } = require('../utils/pagination');
+const { publicDisplayName } = require('../privacy');
+
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return typeof uuid === 'string' && UUID_REGEX.test(uuid);
+};
+
+// Helper function to validate the other participant of a conversation.
+// Returns the status and body to respond with, or null when valid.
+const validateOtherUser = (userId, otherUserId) => {
+    if (!isValidUUID(otherUserId)) {
+        return {
+            status: 400,
+            body: {
+                error: 'Invalid user ID format',
+                details: 'User ID must be a valid UUID'
+            }
+        };
+    }
+    if (otherUserId === userId) {
+        return {
+            status: 400,
+            body: {
+                error: 'Invalid user',
+                details: 'You cannot message yourself'
+            }
+        };
+    }
+    return null;
+};
+
+// Helper function to find the conversation between two users
+const getConversationId = async (client, userId1, userId2) => {
+    const result = await client.query(
+        `SELECT id FROM conversations
+         WHERE user_a_id = LEAST($1::uuid, $2::uuid)
+         AND user_b_id = GREATEST($1::uuid, $2::uuid)`,
+        [userId1, userId2]
+    );
+    return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+// Helper function to format a direct_messages row for the current user
+const toMessage = (row, userId) => ({
+    id: row.id,
+    senderId: row.sender_id,
+    recipientId: row.recipient_id,
+    message: row.message,
+    isMine: row.sender_id === userId,
+    readAt: row.read_at,
+    createdAt: row.created_at
+});
+
+// Every messaging route acts on the caller's own conversations
+router.use(requireAuth);
+
+// GET /messages - The current user's conversations, most recently active first
+router.get('/', async (req, res) => {
+    const userId = req.user.id;
+
+    const pagination = parseCursorPagination(req.query, { lastMessageAt: 'timestamp', id: 'uuid' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        const queryParams = [userId, pagination.limit + 1];
+
+        // Resume after the last row of the previous page (last_message_at DESC, id ASC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                c.last_message_at < $3::timestamptz
+                OR (c.last_message_at = $3::timestamptz AND c.id > $4::uuid)
+            )`;
+            queryParams.push(pagination.cursor.lastMessageAt, pagination.cursor.id);
+        }
+
+        const result = await pool.query(
+            `SELECT
+                c.id,
+                c.last_message_at,
+                c.last_message_at::text as cursor_last_message_at,
+                u.id as other_user_id,
+                u.name,
+                EXISTS (
+                    SELECT 1 FROM profile_items pi
+                    WHERE pi.user_id = u.id AND pi.item_type = 'profile_image'
+                ) AS has_profile_image,
+                EXISTS (
+                    SELECT 1 FROM connections cn
+                    WHERE cn.status = 'connected'
+                    AND ((cn.from_user = $1 AND cn.to_user = u.id) OR (cn.from_user = u.id AND cn.to_user = $1))
+                ) AS is_connected,
+                lm.id as last_message_id,
+                lm.sender_id,
+                lm.recipient_id,
+                lm.message,
+                lm.read_at,
+                lm.created_at,
+                (
+                    SELECT COUNT(*) FROM direct_messages dm
+                    WHERE dm.conversation_id = c.id
+                    AND dm.recipient_id = $1
+                    AND dm.read_at IS NULL
+                )::int as unread_count
+            FROM conversations c
+            JOIN users u ON u.id = CASE WHEN c.user_a_id = $1 THEN c.user_b_id ELSE c.user_a_id END
+            JOIN LATERAL (
+                SELECT id, sender_id, recipient_id, message, read_at, created_at
+                FROM direct_messages
+                WHERE conversation_id = c.id
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
+            ) lm ON true
+            WHERE (c.user_a_id = $1 OR c.user_b_id = $1)
+            AND ${createNotBlockedCondition('u.id', '$1')}
+            ${cursorCondition}
+            ORDER BY c.last_message_at DESC, c.id ASC
+            LIMIT $2`,
+            queryParams
+        );
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            lastMessageAt: row.cursor_last_message_at,
+            id: row.id
+        }));
+
+        res.json({
+            data: page.rows.map(row => ({
+                id: row.id,
+                user: {
+                    id: row.other_user_id,
+                    name: row.name,
+                    displayName: publicDisplayName(row.name),
+                    avatarUrl: row.has_profile_image ? `/profiles/${row.other_user_id}/image` : null
+                },
+                // Only connected users can keep writing; older threads stay readable
+                canMessage: row.is_connected,
+                lastMessage: toMessage({ ...row, id: row.last_message_id }, userId),
+                unreadCount: row.unread_count,
+                lastMessageAt: row.last_message_at
+            })),
+            nextCursor: page.nextCursor
+        });
+    } catch (err) {
+        console.error('Error fetching conversations:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /messages/:userId - Message history with a user, newest first
+router.get('/:userId', async (req, res) => {
+    const userId = req.user.id;
+    const otherUserId = req.params.userId;
+
+    const invalid = validateOtherUser(userId, otherUserId);
+    if (invalid) {
+        return res.status(invalid.status).json(invalid.body);
+    }
+
+    const pagination = parseCursorPagination(req.query, { createdAt: 'timestamp', id: 'uuid' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        if (await isBlockedBetween(pool, userId, otherUserId)) {
+            return res.status(403).json({
+                error: 'User blocked',
+                details: 'Cannot read messages with a blocked user'
+            });
+        }
+
+        const conversationId = await getConversationId(pool, userId, otherUserId);
+        if (!conversationId) {
+            return res.json({
+                data: [],
+                nextCursor: null
+            });
+        }
+
+        const queryParams = [conversationId, pagination.limit + 1];
+
+        // Resume after the last row of the previous page (created_at DESC, id DESC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                created_at < $3::timestamptz
+                OR (created_at = $3::timestamptz AND id < $4::uuid)
+            )`;
+            queryParams.push(pagination.cursor.createdAt, pagination.cursor.id);
+        }
+
+        const result = await pool.query(
+            `SELECT id, sender_id, recipient_id, message, read_at, created_at,
+                created_at::text as cursor_created_at
+             FROM direct_messages
+             WHERE conversation_id = $1
+             ${cursorCondition}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2`,
+            queryParams
+        );
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            createdAt: row.cursor_created_at,
+            id: row.id
+        }));
+
+        res.json({
+            data: page.rows.map(row => toMessage(row, userId)),
+            nextCursor: page.nextCursor
+        });
+    } catch (err) {
+        console.error('Error fetching messages:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /messages/:userId - Send a message to a connected user
+router.post('/:userId', async (req, res) => {
+    const userId = req.user.id;
+    const otherUserId = req.params.userId;
+    const { message } = req.body;
+
+    const invalid = validateOtherUser(userId, otherUserId);
+    if (invalid) {
+        return res.status(invalid.status).json(invalid.body);
+    }
+
+    if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({
+            error: 'Invalid message',
+            details: 'message must be a non-empty string'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const userCheck = await client.query('SELECT id FROM users WHERE id = $1', [otherUserId]);
+        if (userCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'User not found',
+                details: `No user exists with id ${otherUserId}`
+            });
+        }
+
+        // Lock the connection so a block or removal can't land between the check and the insert
+        const connection = await client.query(
+            `SELECT status FROM connections
+             WHERE (from_user = $1 AND to_user = $2) OR (from_user = $2 AND to_user = $1)
+             LIMIT 1
+             FOR SHARE`,
+            [userId, otherUserId]
+        );
+        const status = connection.rows.length > 0 ? connection.rows[0].status : null;
+
+        if (status === 'blocked') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({
+                error: 'User blocked',
+                details: 'Cannot send a message to or from a blocked user'
+            });
+        }
+
+        if (status !== 'connected') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({
+                error: 'Not connected',
+                details: 'You can only message users you are connected with'
+            });
+        }
+
+        const conversation = await client.query(
+            `INSERT INTO conversations (user_a_id, user_b_id)
+             VALUES (LEAST($1::uuid, $2::uuid), GREATEST($1::uuid, $2::uuid))
+             ON CONFLICT (user_a_id, user_b_id) DO UPDATE
+             SET last_message_at = CURRENT_TIMESTAMP
+             RETURNING id`,
+            [userId, otherUserId]
+        );
+
+        const result = await client.query(
+            `INSERT INTO direct_messages (conversation_id, sender_id, recipient_id, message)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, sender_id, recipient_id, message, read_at, created_at`,
+            [conversation.rows[0].id, userId, otherUserId, message]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            status: 'ok',
+            message: 'Message sent successfully',
+            data: {
+                conversationId: conversation.rows[0].id,
+                ...toMessage(result.rows[0], userId)
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error sending message:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// POST /messages/:userId/read - Mark messages from a user as read, optionally only
+// up to and including upToMessageId so messages that arrived since stay unread
+router.post('/:userId/read', async (req, res) => {
+    const userId = req.user.id;
+    const otherUserId = req.params.userId;
+    const { upToMessageId } = req.body;
+
+    const invalid = validateOtherUser(userId, otherUserId);
+    if (invalid) {
+        return res.status(invalid.status).json(invalid.body);
+    }
+
+    if (upToMessageId !== undefined && !isValidUUID(upToMessageId)) {
+        return res.status(400).json({
+            error: 'Invalid upToMessageId',
+            details: 'upToMessageId must be a valid UUID'
+        });
+    }
+
+    try {
+        const conversationId = await getConversationId(pool, userId, otherUserId);
+        if (!conversationId) {
+            return res.status(404).json({
+                error: 'Conversation not found',
+                details: `No conversation exists with user ${otherUserId}`
+            });
+        }
+
+        let upTo = null;
+        if (upToMessageId) {
+            // Compared as text-cast timestamps so microseconds survive the round trip
+            const messageResult = await pool.query(
+                'SELECT created_at::text as created_at FROM direct_messages WHERE id = $1 AND conversation_id = $2',
+                [upToMessageId, conversationId]
+            );
+            if (messageResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: 'Message not found',
+                    details: `No message exists with id ${upToMessageId} in this conversation`
+                });
+            }
+            upTo = messageResult.rows[0].created_at;
+        }
+
+        const result = await pool.query(
+            `UPDATE direct_messages
+             SET read_at = NOW()
+             WHERE conversation_id = $1
+             AND recipient_id = $2
+             AND read_at IS NULL
+             AND ($3::timestamptz IS NULL OR created_at <= $3)`,
+            [conversationId, userId, upTo]
+        );
+
+        res.json({
+            status: 'ok',
+            message: 'Messages marked as read',
+            data: { updated: result.rowCount }
+        });
+    } catch (err) {
+        console.error('Error marking messages as read:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+module.exports = router;
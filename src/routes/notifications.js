@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { requireAuth, forbidden } = require('../auth/middleware');
+const { can } = require('../auth/policies');
+const { parseLimitOffset } = require('../utils/pagination');
+
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return UUID_REGEX.test(uuid);
+};
+
+// Every notification route acts on the caller's own inbox
+router.use(requireAuth);
+
+// GET /notifications - List the current user's notifications, newest first
+router.get('/', async (req, res) => {
+    const unreadOnly = req.query.unreadOnly === 'true';
+
+    const pagination = parseLimitOffset(req.query);
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT 
+                n.id,
+                n.type,
+                n.data,
+                n.read_at as "readAt",
+                n.created_at as "createdAt",
+                n.actor_user_id as "actorUserId",
+                u.name as "actorName",
+                u.email as "actorEmail",
+                COUNT(*) OVER() as total_count
+            FROM notifications n
+            LEFT JOIN users u ON u.id = n.actor_user_id
+            WHERE n.user_id = $1
+            AND ($2::boolean = false OR n.read_at IS NULL)
+            ORDER BY n.created_at DESC, n.id
+            LIMIT $3 OFFSET $4`,
+            [req.user.id, unreadOnly, pagination.limit, pagination.offset]
+        );
+
+        res.json({
+            data: result.rows.map(({ total_count, ...row }) => ({
+                ...row,
+                isRead: row.readAt !== null,
+                actorDisplayName: row.actorName || row.actorEmail || null
+            })),
+            pagination: {
+                limit: pagination.limit,
+                offset: pagination.offset,
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching notifications:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /notifications/unread-count - Count unread notifications
+router.get('/unread-count', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+            [req.user.id]
+        );
+
+        res.json({
+            unreadCount: parseInt(result.rows[0].count)
+        });
+    } catch (err) {
+        console.error('Error counting unread notifications:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /notifications/read-all - Mark every notification as read
+router.post('/read-all', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE notifications 
+             SET read_at = NOW() 
+             WHERE user_id = $1 AND read_at IS NULL`,
+            [req.user.id]
+        );
+
+        res.json({
+            status: 'ok',
+            message: 'All notifications marked as read',
+            data: { updated: result.rowCount }
+        });
+    } catch (err) {
+        console.error('Error marking notifications as read:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /notifications/:id/read - Mark one notification as read
+router.post('/:id/read', async (req, res) => {
+    const { id } = req.params;
+
+    // Validate UUID format
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid id',
+            details: 'Notification ID must be a valid UUID'
+        });
+    }
+
+    try {
+        const notificationResult = await pool.query(
+            'SELECT id, user_id, read_at FROM notifications WHERE id = $1',
+            [id]
+        );
+
+        if (notificationResult.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Notification not found',
+                details: `No notification exists with id ${id}`
+            });
+        }
+
+        if (!can(req.user, 'notification:update', notificationResult.rows[0])) {
+            return forbidden(res, 'notification:update');
+        }
+
+        const result = await pool.query(
+            `UPDATE notifications 
+             SET read_at = COALESCE(read_at, NOW()) 
+             WHERE id = $1
+             RETURNING id, read_at as "readAt"`,
+            [id]
+        );
+
+        res.json({
+            status: 'ok',
+            message: 'Notification marked as read',
+            data: result.rows[0]
+        });
+    } catch (err) {
+        console.error('Error marking notification as read:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -1,21 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const { pool, enablePostGISExtensions } = require('../config/db');
-const { createNearbyCondition } = require('../utils/geo');
+const { parseBoundingBox, boundingBoxParams } = require('../utils/geo');
+const { createNotBlockedCondition, isBlockedBetween } = require('../utils/blocks');
+const { requireAuth, forbidden } = require('../auth/middleware');
+const { can } = require('../auth/policies');
+const { domainEvents } = require('../events');
+const { enqueueWebhookEvent } = require('../webhooks');
+const { createNotification } = require('../notifications');
+const { isValidReactionType, REACTION_TYPES, createReactionCountsColumn, createViewerReactionsColumn } = require('../reactions');
+const pingStream = require('../realtime/pingStream');
+const { openEventStream } = require('../realtime/sse');
+const { resolveRadius, resolveOptionalTimeWindow, resolveCursorTimeWindow, resolvePingExpiry } = require('../utils/nearbyParams');
+const nearbyConfig = require('../config/nearby');
+const { parseLimitOffset, parseCursorPagination, buildCursorPage } = require('../utils/pagination');
+const { resolveZoom, gridCellDegrees, isClusteredZoom, createClusterQuery, toCluster } = require('../utils/clusters');
+const clusterConfig = require('../config/clusters');
+const { findVenuesContaining } = require('../venues');
+const { checkTravel } = require('../locations/travel');
+const {
+    createLocationPrecisionJoin,
+    publicPositionSql,
+    createPublicCoordinateColumns,
+    createPublicDistanceExpression,
+    createPublicNearbyCondition,
+    createPublicWithinBoundsCondition,
+    publicCoordinates,
+    publicDisplayName,
+    getPrivacySettings
+} = require('../privacy');
 
 // Validate category helper function
 const isValidCategory = (category) => ['skill', 'education', 'experience'].includes(category);
 
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return typeof uuid === 'string' && UUID_REGEX.test(uuid);
+};
+
+// Helper function to add the mood and profile item filters shared by ping queries.
+// Appends to conditions and queryParams in place.
+const addPingFilters = ({ mood, skill, education, experience }, conditions, queryParams) => {
+    if (mood) {
+        queryParams.push(mood);
+        conditions.push(`p.mood = $${queryParams.length}`);
+    }
+
+    const categoryFilters = { skill, education, experience };
+    for (const [category, value] of Object.entries(categoryFilters)) {
+        if (value) {
+            queryParams.push(value);
+            conditions.push(`(p.category = '${category}' AND p.value = $${queryParams.length})`);
+        }
+    }
+};
+
 // POST /pings
-router.post('/', async (req, res) => {
-    const { userId, message, mood, latitude, longitude, category, value } = req.body;
+router.post('/', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const { message, mood, latitude, longitude, category, value, venueId, expiresAt, durationMinutes } = req.body;
 
     // Validate input
-    if (!userId || !message || !mood || !latitude || !longitude || !category || !value) {
+    if (!message || !mood || !latitude || !longitude || !category || !value) {
         return res.status(400).json({
             error: 'Missing required fields',
             details: {
-                userId: !userId ? 'Missing userId' : null,
                 message: !message ? 'Missing message' : null,
                 mood: !mood ? 'Missing mood' : null,
                 latitude: !latitude ? 'Missing latitude' : null,
@@ -34,53 +84,782 @@ router.post('/', async (req, res) => {
         });
     }
 
-    // Validate latitude and longitude ranges
-    if (latitude < -90 || latitude > 90) {
-        return res.status(400).json({
-            error: 'Invalid latitude',
-            details: 'Latitude must be between -90 and 90'
+    // Validate latitude and longitude ranges
+    if (latitude < -90 || latitude > 90) {
+        return res.status(400).json({
+            error: 'Invalid latitude',
+            details: 'Latitude must be between -90 and 90'
+        });
+    }
+
+    if (longitude < -180 || longitude > 180) {
+        return res.status(400).json({
+            error: 'Invalid longitude',
+            details: 'Longitude must be between -180 and 180'
+        });
+    }
+
+    if (venueId !== undefined && venueId !== null && !isValidUUID(venueId)) {
+        return res.status(400).json({
+            error: 'Invalid venue ID format',
+            details: 'venueId must be a valid UUID'
+        });
+    }
+
+    const expiry = resolvePingExpiry({ expiresAt, durationMinutes }, nearbyConfig.pings.durationMinutes, new Date());
+    if (expiry.error) {
+        return res.status(400).json({
+            error: 'Invalid expiry',
+            details: expiry.error
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // First check if user exists
+        const userCheck = await client.query('SELECT id, name FROM users WHERE id = $1', [userId]);
+        if (userCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'User not found',
+                details: `No user exists with id ${userId}`
+            });
+        }
+
+        // Rejected pings still commit so the travel flag is kept
+        const travel = await checkTravel(client, {
+            userId,
+            latitude: parseFloat(latitude),
+            longitude: parseFloat(longitude),
+            source: 'ping'
+        });
+        if (!travel.allowed) {
+            await client.query('COMMIT');
+            return res.status(422).json({
+                error: 'Implausible travel',
+                code: 'IMPOSSIBLE_TRAVEL',
+                details: travel.details
+            });
+        }
+
+        // A ping can only be attached to an active venue the author can see and is standing in
+        if (venueId) {
+            const venues = await findVenuesContaining(client, userId, parseFloat(latitude), parseFloat(longitude));
+            if (!venues.some(venue => venue.id === venueId)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: 'Invalid venue',
+                    details: 'venueId must be an active venue that contains the ping location'
+                });
+            }
+        }
+
+        // Expiry is counted on the database clock, like created_at
+        const result = await client.query(
+            `INSERT INTO pings (user_id, message, mood, latitude, longitude, category, value, venue_id, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(secs => $9))
+             RETURNING id, created_at, expires_at`,
+            [userId, message, mood, parseFloat(latitude), parseFloat(longitude), category, value, venueId || null, expiry.durationMinutes * 60]
+        );
+
+        const ping = {
+            id: result.rows[0].id,
+            userId,
+            message,
+            mood,
+            latitude: parseFloat(latitude),
+            longitude: parseFloat(longitude),
+            category,
+            value,
+            venueId: venueId || null,
+            createdAt: result.rows[0].created_at,
+            expiresAt: result.rows[0].expires_at
+        };
+
+        // Everyone but the author sees the ping at the author's chosen precision
+        const { locationPrecision } = await getPrivacySettings(client, userId);
+        await enqueueWebhookEvent(client, 'ping.created', {
+            ...ping,
+            ...publicCoordinates(locationPrecision, ping.latitude, ping.longitude)
+        });
+
+        await client.query('COMMIT');
+
+        // In-process listeners get the true position and apply locationPrecision themselves
+        domainEvents.emit('ping.created', {
+            ...ping,
+            name: userCheck.rows[0].name,
+            locationPrecision
+        });
+
+        res.json({
+            status: 'ok',
+            message: 'Ping created successfully',
+            data: ping
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error creating ping:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// PATCH /pings/:id - Edit a ping's content or expiry. Position and venue are fixed.
+router.patch('/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const { message, mood, category, value, expiresAt, durationMinutes } = req.body;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid ping ID format',
+            details: 'Ping ID must be a valid UUID'
+        });
+    }
+
+    const textFields = { message, mood, value };
+    if (Object.values(textFields).every(field => field === undefined) &&
+        category === undefined && expiresAt === undefined && durationMinutes === undefined) {
+        return res.status(400).json({
+            error: 'No changes',
+            details: 'Provide at least one of: message, mood, category, value, expiresAt, durationMinutes'
+        });
+    }
+
+    for (const [field, fieldValue] of Object.entries(textFields)) {
+        if (fieldValue !== undefined && (typeof fieldValue !== 'string' || !fieldValue.trim())) {
+            return res.status(400).json({
+                error: `Invalid ${field}`,
+                details: `${field} must be a non-empty string`
+            });
+        }
+    }
+
+    // A value only makes sense for its category, so the pair is replaced as a whole
+    if ((category === undefined) !== (value === undefined)) {
+        return res.status(400).json({
+            error: 'Missing required fields',
+            details: 'category and value must be changed together'
+        });
+    }
+
+    if (category !== undefined && !isValidCategory(category)) {
+        return res.status(400).json({
+            error: 'Invalid category',
+            details: 'Category must be one of: skill, education, experience'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT * FROM pings WHERE id = $1 FOR UPDATE', [id]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'Ping not found',
+                details: `No ping exists with id ${id}`
+            });
+        }
+
+        const ping = existing.rows[0];
+        if (!can(req.user, 'ping:update', ping)) {
+            await client.query('ROLLBACK');
+            return forbidden(res, 'ping:update');
+        }
+
+        const now = new Date();
+        if (new Date(ping.expires_at) <= now) {
+            await client.query('ROLLBACK');
+            return res.status(410).json({
+                error: 'Ping expired',
+                details: 'Expired pings can no longer be edited'
+            });
+        }
+
+        // New expiry is counted from creation, on the database clock
+        let durationSeconds = null;
+        if (expiresAt !== undefined || durationMinutes !== undefined) {
+            const expiry = resolvePingExpiry(
+                { expiresAt, durationMinutes },
+                nearbyConfig.pings.durationMinutes,
+                new Date(ping.created_at),
+                now
+            );
+            if (expiry.error || expiry.expiresAt <= now) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: 'Invalid expiry',
+                    details: expiry.error || 'The requested duration has already passed'
+                });
+            }
+            durationSeconds = expiry.durationMinutes * 60;
+        }
+
+        const result = await client.query(
+            `UPDATE pings
+             SET message = COALESCE($2, message),
+                 mood = COALESCE($3, mood),
+                 category = COALESCE($4, category),
+                 value = COALESCE($5, value),
+                 expires_at = COALESCE(created_at + make_interval(secs => $6::float), expires_at),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [
+                id,
+                message === undefined ? null : message,
+                mood === undefined ? null : mood,
+                category === undefined ? null : category,
+                value === undefined ? null : value,
+                durationSeconds
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        const updated = result.rows[0];
+        res.json({
+            status: 'ok',
+            message: 'Ping updated successfully',
+            data: {
+                id: updated.id,
+                userId: updated.user_id,
+                message: updated.message,
+                mood: updated.mood,
+                latitude: updated.latitude,
+                longitude: updated.longitude,
+                category: updated.category,
+                value: updated.value,
+                venueId: updated.venue_id,
+                createdAt: updated.created_at,
+                expiresAt: updated.expires_at,
+                updatedAt: updated.updated_at
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error updating ping:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// DELETE /pings/:id - Remove a ping (author only)
+router.delete('/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid ping ID format',
+            details: 'Ping ID must be a valid UUID'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT id, user_id FROM pings WHERE id = $1 FOR UPDATE', [id]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'Ping not found',
+                details: `No ping exists with id ${id}`
+            });
+        }
+
+        if (!can(req.user, 'ping:update', existing.rows[0])) {
+            await client.query('ROLLBACK');
+            return forbidden(res, 'ping:update');
+        }
+
+        await client.query('DELETE FROM pings WHERE id = $1', [id]);
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'Ping deleted successfully'
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting ping:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// Helper function to load a live ping the viewer may read replies on, reply or react to.
+// Returns the ping row, or the status and body to respond with.
+const loadLivePing = async (client, pingId, viewerId) => {
+    const result = await client.query(
+        'SELECT id, user_id, expires_at FROM pings WHERE id = $1',
+        [pingId]
+    );
+
+    if (result.rows.length === 0) {
+        return {
+            status: 404,
+            body: {
+                error: 'Ping not found',
+                details: `No ping exists with id ${pingId}`
+            }
+        };
+    }
+
+    const ping = result.rows[0];
+    if (ping.user_id !== viewerId && await isBlockedBetween(client, ping.user_id, viewerId)) {
+        return {
+            status: 403,
+            body: {
+                error: 'User blocked',
+                details: 'Cannot interact with a ping from a blocked user'
+            }
+        };
+    }
+
+    // Replies and reactions are closed along with the ping once it expires
+    if (new Date(ping.expires_at) <= new Date()) {
+        return {
+            status: 410,
+            body: {
+                error: 'Ping expired',
+                details: 'This ping has expired'
+            }
+        };
+    }
+
+    return { ping };
+};
+
+// POST /pings/:id/replies - Reply to a ping
+router.post('/:id/replies', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const { message } = req.body;
+    const userId = req.user.id;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid ping ID format',
+            details: 'Ping ID must be a valid UUID'
+        });
+    }
+
+    if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({
+            error: 'Invalid message',
+            details: 'message must be a non-empty string'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { ping, status, body } = await loadLivePing(client, id, userId);
+        if (!ping) {
+            await client.query('ROLLBACK');
+            return res.status(status).json(body);
+        }
+
+        const result = await client.query(
+            `INSERT INTO ping_replies (ping_id, user_id, message)
+             VALUES ($1, $2, $3)
+             RETURNING id, ping_id, user_id, message, created_at`,
+            [id, userId, message]
+        );
+        const reply = result.rows[0];
+
+        if (ping.user_id !== userId) {
+            await createNotification(client, {
+                userId: ping.user_id,
+                type: 'ping.replied',
+                actorId: userId,
+                data: { pingId: id, replyId: reply.id }
+            });
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            status: 'ok',
+            message: 'Reply posted successfully',
+            data: {
+                id: reply.id,
+                pingId: reply.ping_id,
+                userId: reply.user_id,
+                message: reply.message,
+                createdAt: reply.created_at
+            }
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error creating ping reply:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /pings/:id/replies - Replies to a ping, oldest first
+router.get('/:id/replies', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid ping ID format',
+            details: 'Ping ID must be a valid UUID'
+        });
+    }
+
+    const pagination = parseCursorPagination(req.query, { createdAt: 'timestamp', id: 'uuid' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        const { ping, status, body } = await loadLivePing(pool, id, userId);
+        if (!ping) {
+            return res.status(status).json(body);
+        }
+
+        const queryParams = [id, userId, pagination.limit + 1];
+
+        // Resume after the last row of the previous page (created_at ASC, id ASC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                r.created_at > $4::timestamptz
+                OR (r.created_at = $4::timestamptz AND r.id > $5::uuid)
+            )`;
+            queryParams.push(pagination.cursor.createdAt, pagination.cursor.id);
+        }
+
+        const result = await pool.query(
+            `SELECT
+                r.id,
+                r.user_id as "userId",
+                u.name,
+                EXISTS (
+                    SELECT 1 FROM profile_items pi
+                    WHERE pi.user_id = u.id AND pi.item_type = 'profile_image'
+                ) AS has_profile_image,
+                r.message,
+                r.created_at as "createdAt",
+                r.created_at::text as cursor_created_at
+            FROM ping_replies r
+            JOIN users u ON u.id = r.user_id
+            WHERE r.ping_id = $1
+            AND ${createNotBlockedCondition('r.user_id', '$2')}
+            ${cursorCondition}
+            ORDER BY r.created_at ASC, r.id ASC
+            LIMIT $3`,
+            queryParams
+        );
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            createdAt: row.cursor_created_at,
+            id: row.id
+        }));
+
+        res.json({
+            data: page.rows.map(({ cursor_created_at, has_profile_image, ...row }) => ({
+                ...row,
+                pingId: id,
+                displayName: publicDisplayName(row.name),
+                avatarUrl: has_profile_image ? `/profiles/${row.userId}/image` : null
+            })),
+            nextCursor: page.nextCursor
+        });
+    } catch (err) {
+        console.error('Error fetching ping replies:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /pings/:id/reactions - React to a ping; reacting twice with the same type is a no-op
+router.post('/:id/reactions', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const { type } = req.body;
+    const userId = req.user.id;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid ping ID format',
+            details: 'Ping ID must be a valid UUID'
+        });
+    }
+
+    if (!isValidReactionType(type)) {
+        return res.status(400).json({
+            error: 'Invalid reaction type',
+            details: `type must be one of: ${REACTION_TYPES.join(', ')}, or a single emoji`
+        });
+    }
+
+    try {
+        const { ping, status, body } = await loadLivePing(pool, id, userId);
+        if (!ping) {
+            return res.status(status).json(body);
+        }
+
+        if (ping.user_id === userId) {
+            return res.status(400).json({
+                error: 'Invalid reaction',
+                details: 'You cannot react to your own ping'
+            });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO ping_reactions (ping_id, user_id, type)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (ping_id, user_id, type) DO NOTHING
+             RETURNING created_at`,
+            [id, userId, type]
+        );
+
+        const created = result.rows.length > 0;
+        res.status(created ? 201 : 200).json({
+            status: 'ok',
+            message: created ? 'Reaction added' : 'Reaction already exists',
+            data: {
+                pingId: id,
+                type
+            }
+        });
+    } catch (err) {
+        console.error('Error adding ping reaction:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// DELETE /pings/:id/reactions/:type - Remove the current user's reaction of one type
+router.delete('/:id/reactions/:type', requireAuth, async (req, res) => {
+    const { id, type } = req.params;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid ping ID format',
+            details: 'Ping ID must be a valid UUID'
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM ping_reactions
+             WHERE ping_id = $1 AND user_id = $2 AND type = $3
+             RETURNING ping_id`,
+            [id, req.user.id, type]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Reaction not found',
+                details: `You have no ${type} reaction on ping ${id}`
+            });
+        }
+
+        res.json({
+            status: 'ok',
+            message: 'Reaction removed'
+        });
+    } catch (err) {
+        console.error('Error removing ping reaction:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /pings/:id/reactions - Who reacted to a ping, newest first (author only)
+router.get('/:id/reactions', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const { type } = req.query;
+    const userId = req.user.id;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid ping ID format',
+            details: 'Ping ID must be a valid UUID'
+        });
+    }
+
+    if (type !== undefined && !isValidReactionType(type)) {
+        return res.status(400).json({
+            error: 'Invalid reaction type',
+            details: `type must be one of: ${REACTION_TYPES.join(', ')}, or a single emoji`
+        });
+    }
+
+    const pagination = parseLimitOffset(req.query);
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        const pingResult = await pool.query('SELECT id, user_id FROM pings WHERE id = $1', [id]);
+        if (pingResult.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Ping not found',
+                details: `No ping exists with id ${id}`
+            });
+        }
+
+        if (!can(req.user, 'ping-reactions:read', pingResult.rows[0])) {
+            return forbidden(res, 'ping-reactions:read');
+        }
+
+        const result = await pool.query(
+            `SELECT
+                pr.user_id,
+                pr.type,
+                pr.created_at,
+                u.name,
+                EXISTS (
+                    SELECT 1 FROM profile_items pi
+                    WHERE pi.user_id = u.id AND pi.item_type = 'profile_image'
+                ) AS has_profile_image,
+                COUNT(*) OVER() AS total_count
+            FROM ping_reactions pr
+            JOIN users u ON u.id = pr.user_id
+            WHERE pr.ping_id = $1
+            AND ($2::text IS NULL OR pr.type = $2)
+            AND ${createNotBlockedCondition('pr.user_id', '$3')}
+            ORDER BY pr.created_at DESC, pr.user_id, pr.type
+            LIMIT $4 OFFSET $5`,
+            [id, type || null, userId, pagination.limit, pagination.offset]
+        );
+
+        res.json({
+            data: result.rows.map(row => ({
+                userId: row.user_id,
+                name: row.name,
+                displayName: publicDisplayName(row.name),
+                avatarUrl: row.has_profile_image ? `/profiles/${row.user_id}/image` : null,
+                type: row.type,
+                createdAt: row.created_at
+            })),
+            pagination: {
+                limit: pagination.limit,
+                offset: pagination.offset,
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching ping reactions:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
         });
     }
+});
 
-    if (longitude < -180 || longitude > 180) {
+// GET /pings/mine - The current user's own pings, newest first, with reply and reaction counts.
+// Expired pings are included with includeExpired=true.
+router.get('/mine', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const includeExpired = req.query.includeExpired === 'true';
+
+    const pagination = parseCursorPagination(req.query, { createdAt: 'timestamp', id: 'uuid' });
+    if (pagination.error) {
         return res.status(400).json({
-            error: 'Invalid longitude',
-            details: 'Longitude must be between -180 and 180'
+            error: 'Invalid pagination',
+            details: pagination.error
         });
     }
 
     try {
-        // First check if user exists
-        const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
-        if (userCheck.rows.length === 0) {
-            return res.status(404).json({
-                error: 'User not found',
-                details: `No user exists with id ${userId}`
-            });
+        const queryParams = [userId, includeExpired, pagination.limit + 1];
+
+        // Resume after the last row of the previous page (created_at DESC, id ASC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                p.created_at < $4::timestamptz
+                OR (p.created_at = $4::timestamptz AND p.id > $5::uuid)
+            )`;
+            queryParams.push(pagination.cursor.createdAt, pagination.cursor.id);
         }
 
+        // Replies from users the author has blocked, or who blocked them, are not counted
         const result = await pool.query(
-            'INSERT INTO pings (user_id, message, mood, latitude, longitude, category, value) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, created_at',
-            [userId, message, mood, parseFloat(latitude), parseFloat(longitude), category, value]
+            `SELECT
+                p.id,
+                p.message,
+                p.mood,
+                p.latitude,
+                p.longitude,
+                p.category,
+                p.value,
+                p.venue_id as "venueId",
+                p.created_at as "createdAt",
+                p.expires_at as "expiresAt",
+                p.updated_at as "updatedAt",
+                p.created_at::text as cursor_created_at,
+                COALESCE(rc.reply_count, 0)::int as "replyCount",
+                rc.last_reply_at as "lastReplyAt",
+                ${createReactionCountsColumn('p.id', '$1')}
+            FROM pings p
+            LEFT JOIN LATERAL (
+                SELECT COUNT(*) AS reply_count, MAX(r.created_at) AS last_reply_at
+                FROM ping_replies r
+                WHERE r.ping_id = p.id
+                AND ${createNotBlockedCondition('r.user_id', '$1')}
+            ) rc ON true
+            WHERE p.user_id = $1
+            AND ($2::boolean OR p.expires_at > NOW())
+            ${cursorCondition}
+            ORDER BY p.created_at DESC, p.id ASC
+            LIMIT $3`,
+            queryParams
         );
 
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            createdAt: row.cursor_created_at,
+            id: row.id
+        }));
+
         res.json({
-            status: 'ok',
-            message: 'Ping created successfully',
-            data: {
-                id: result.rows[0].id,
-                userId,
-                message,
-                mood,
-                latitude: parseFloat(latitude),
-                longitude: parseFloat(longitude),
-                category,
-                value,
-                createdAt: result.rows[0].created_at
+            data: page.rows.map(({ cursor_created_at, ...row }) => row),
+            nextCursor: page.nextCursor,
+            query: {
+                includeExpired
             }
         });
     } catch (err) {
-        console.error('Error creating ping:', err);
+        console.error('Error fetching own pings:', err);
         res.status(500).json({
             error: 'Internal server error',
             details: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -89,21 +868,21 @@ router.post('/', async (req, res) => {
 });
 
 // GET /pings/nearby
-router.get('/nearby', async (req, res) => {
-    const { lat, lng, userId, mood, skill, education, experience } = req.query;
+router.get('/nearby', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const { lat, lng, radius, since, maxAge, mood, skill, education, experience } = req.query;
 
     // Log incoming parameters (commented out to reduce console noise)
-    // console.log('GET /pings/nearby - Query params:', { lat, lng, userId, mood, skill, education, experience });
+    // console.log('GET /pings/nearby - Query params:', { lat, lng, radius, since, maxAge, userId, mood, skill, education, experience });
 
     // Validate required parameters
-    if (!lat || !lng || !userId) {
+    if (!lat || !lng) {
         console.log('GET /pings/nearby - Missing parameters:', {
             lat: !lat ? 'missing' : 'present',
-            lng: !lng ? 'missing' : 'present',
-            userId: !userId ? 'missing' : 'present'
+            lng: !lng ? 'missing' : 'present'
         });
         return res.status(400).json({
-            error: 'Missing or invalid lat, lng, or userId'
+            error: 'Missing or invalid lat or lng'
         });
     }
 
@@ -117,16 +896,7 @@ router.get('/nearby', async (req, res) => {
             lng: isNaN(longitude) ? 'not a number' : longitude
         });
         return res.status(400).json({
-            error: 'Missing or invalid lat, lng, or userId'
-        });
-    }
-
-    // Validate UUID format
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!UUID_REGEX.test(userId)) {
-        console.log('GET /pings/nearby - Invalid UUID format:', { userId });
-        return res.status(400).json({
-            error: 'Missing or invalid lat, lng, or userId'
+            error: 'Missing or invalid lat or lng'
         });
     }
 
@@ -134,14 +904,43 @@ router.get('/nearby', async (req, res) => {
     if (latitude < -90 || latitude > 90) {
         console.log('GET /pings/nearby - Invalid latitude range:', { latitude });
         return res.status(400).json({
-            error: 'Missing or invalid lat, lng, or userId'
+            error: 'Missing or invalid lat or lng'
         });
     }
 
     if (longitude < -180 || longitude > 180) {
         console.log('GET /pings/nearby - Invalid longitude range:', { longitude });
         return res.status(400).json({
-            error: 'Missing or invalid lat, lng, or userId'
+            error: 'Missing or invalid lat or lng'
+        });
+    }
+
+    // Radius and time window are optional and clamped to the configured bounds
+    const { radiusKm, error: radiusError } = resolveRadius(radius, nearbyConfig.pings.radiusKm);
+    if (radiusError) {
+        return res.status(400).json({
+            error: 'Invalid radius',
+            details: radiusError
+        });
+    }
+
+    const pagination = parseCursorPagination(req.query, { distance: 'number', createdAt: 'timestamp', id: 'uuid', since: 'timestamp?' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    // Pings are visible until they expire; since/maxAge optionally narrow that further.
+    // Later pages reuse the cursor's since as is, so the window can't shift mid-scroll
+    const timeWindow = pagination.cursor
+        ? resolveCursorTimeWindow(pagination.cursor.since)
+        : resolveOptionalTimeWindow({ since, maxAge }, nearbyConfig.pings.maxAgeMinutes);
+    if (timeWindow.error) {
+        return res.status(400).json({
+            error: 'Invalid time window',
+            details: timeWindow.error
         });
     }
 
@@ -149,47 +948,35 @@ router.get('/nearby', async (req, res) => {
     try {
         await enablePostGISExtensions(client);
 
-        // Fixed 1km radius (1000 meters)
-        const radiusMeters = 1000;
+        const radiusMeters = radiusKm * 1000;
+        // Distance, ordering and the radius test all use each author's public position
+        const distanceExpression = createPublicDistanceExpression('p', '$1', '$2');
 
         // Build filter conditions
         const filterConditions = [];
-        const queryParams = [latitude, longitude, userId, radiusMeters];
-        let paramIndex = 5;
-
-        // Add mood filter
-        if (mood) {
-            filterConditions.push(`p.mood = $${paramIndex}`);
-            queryParams.push(mood);
-            paramIndex++;
-        }
-
-        // Add skill filter
-        if (skill) {
-            filterConditions.push(`(p.category = 'skill' AND p.value = $${paramIndex})`);
-            queryParams.push(skill);
-            paramIndex++;
-        }
-
-        // Add education filter
-        if (education) {
-            filterConditions.push(`(p.category = 'education' AND p.value = $${paramIndex})`);
-            queryParams.push(education);
-            paramIndex++;
-        }
+        const queryParams = [latitude, longitude, userId, radiusMeters, timeWindow.since, pagination.limit + 1];
+        addPingFilters({ mood, skill, education, experience }, filterConditions, queryParams);
+        let paramIndex = queryParams.length + 1;
 
-        // Add experience filter
-        if (experience) {
-            filterConditions.push(`(p.category = 'experience' AND p.value = $${paramIndex})`);
-            queryParams.push(experience);
-            paramIndex++;
+        // Resume after the last row of the previous page (distance ASC, created_at DESC, id ASC)
+        if (pagination.cursor) {
+            const { distance, createdAt, id } = pagination.cursor;
+            filterConditions.push(`(
+                ${distanceExpression} > $${paramIndex}::float
+                OR (${distanceExpression} = $${paramIndex}::float AND p.created_at < $${paramIndex + 1}::timestamptz)
+                OR (${distanceExpression} = $${paramIndex}::float AND p.created_at = $${paramIndex + 1}::timestamptz AND p.id > $${paramIndex + 2}::uuid)
+            )`);
+            queryParams.push(distance, createdAt, id);
+            paramIndex += 3;
         }
 
         // Build the complete WHERE clause
         const baseConditions = [
             'p.user_id != $3',
-            'p.created_at > NOW() - INTERVAL \'15 minutes\'',
-            'earth_distance(ll_to_earth(p.latitude, p.longitude), ll_to_earth($1, $2))::float <= $4'
+            'p.expires_at > NOW()',
+            '($5::timestamptz IS NULL OR p.created_at > $5)',
+            createPublicNearbyCondition('p', { lat: '$1', lng: '$2', radiusMeters: '$4::float' }),
+            createNotBlockedCondition('p.user_id', '$3')
         ];
 
         const allConditions = [...baseConditions, ...filterConditions];
@@ -198,36 +985,54 @@ router.get('/nearby', async (req, res) => {
         const query = `
             SELECT 
                 u.id as "userId",
-                u.email,
                 u.name,
                 p.id as "pingId",
                 p.message,
                 p.mood,
-                p.latitude,
-                p.longitude,
+                ${createPublicCoordinateColumns('p')},
                 p.category,
                 p.value,
+                p.venue_id as "venueId",
                 p.created_at as "createdAt",
-                earth_distance(
-                    ll_to_earth(p.latitude, p.longitude),
-                    ll_to_earth($1, $2)
-                )::float as distance
+                p.expires_at as "expiresAt",
+                p.created_at::text as cursor_created_at,
+                ${createReactionCountsColumn('p.id', '$3')},
+                ${createViewerReactionsColumn('p.id', '$3')},
+                ${distanceExpression} as distance
             FROM pings p
             JOIN users u ON u.id = p.user_id
+            ${createLocationPrecisionJoin('p.user_id')}
             WHERE ${whereClause}
-            ORDER BY distance ASC, p.created_at DESC;
+            ORDER BY distance ASC, p.created_at DESC, p.id ASC
+            LIMIT $6;
         `;
 
         const result = await client.query(query, queryParams);
 
+        // Cursor keys use the exact distance and microsecond timestamp, not the rounded output values
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            distance: row.distance,
+            createdAt: row.cursor_created_at,
+            id: row.pingId,
+            since: timeWindow.since && timeWindow.since.toISOString()
+        }));
+
         // Transform the results to include displayName
-        const transformedResults = result.rows.map(row => ({
+        const transformedResults = page.rows.map(({ cursor_created_at, ...row }) => ({
             ...row,
-            displayName: row.name || row.email,
+            displayName: publicDisplayName(row.name),
             distance: Math.round(row.distance) // Round to nearest meter
         }));
 
-        res.json(transformedResults);
+        res.json({
+            data: transformedResults,
+            nextCursor: page.nextCursor,
+            query: {
+                radiusKm,
+                maxAgeMinutes: timeWindow.maxAgeMinutes,
+                since: timeWindow.since
+            }
+        });
     } catch (err) {
         console.error('Error fetching nearby pings:', err);
         res.status(500).json({
@@ -239,6 +1044,495 @@ router.get('/nearby', async (req, res) => {
     }
 });
 
+// GET /pings/within - Recent pings inside a south-west/north-east bounding box
+router.get('/within', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const { since, maxAge, mood, skill, education, experience } = req.query;
+
+    const box = parseBoundingBox(req.query);
+    if (box.error) {
+        return res.status(400).json({
+            error: 'Invalid bounding box',
+            details: box.error
+        });
+    }
+
+    const pagination = parseCursorPagination(req.query, { createdAt: 'timestamp', id: 'uuid', since: 'timestamp?' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    // Pings are visible until they expire; since/maxAge optionally narrow that further.
+    // Later pages reuse the cursor's since as is, so the window can't shift mid-scroll
+    const timeWindow = pagination.cursor
+        ? resolveCursorTimeWindow(pagination.cursor.since)
+        : resolveOptionalTimeWindow({ since, maxAge }, nearbyConfig.pings.maxAgeMinutes);
+    if (timeWindow.error) {
+        return res.status(400).json({
+            error: 'Invalid time window',
+            details: timeWindow.error
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await enablePostGISExtensions(client);
+
+        // $1-$7 hold the bounding box, see boundingBoxParams
+        const queryParams = [...boundingBoxParams(box), userId, timeWindow.since, pagination.limit + 1];
+        const conditions = [
+            'p.user_id != $8',
+            'p.expires_at > NOW()',
+            '($9::timestamptz IS NULL OR p.created_at > $9)',
+            createPublicWithinBoundsCondition('p', box),
+            createNotBlockedCondition('p.user_id', '$8')
+        ];
+        addPingFilters({ mood, skill, education, experience }, conditions, queryParams);
+
+        // Resume after the last row of the previous page (created_at DESC, id ASC)
+        if (pagination.cursor) {
+            queryParams.push(pagination.cursor.createdAt, pagination.cursor.id);
+            const createdAtParam = `$${queryParams.length - 1}::timestamptz`;
+            const idParam = `$${queryParams.length}::uuid`;
+            conditions.push(`(
+                p.created_at < ${createdAtParam}
+                OR (p.created_at = ${createdAtParam} AND p.id > ${idParam})
+            )`);
+        }
+
+        const query = `
+            SELECT 
+                u.id as "userId",
+                u.name,
+                p.id as "pingId",
+                p.message,
+                p.mood,
+                ${createPublicCoordinateColumns('p')},
+                p.category,
+                p.value,
+                p.venue_id as "venueId",
+                p.created_at as "createdAt",
+                p.expires_at as "expiresAt",
+                p.created_at::text as cursor_created_at,
+                ${createReactionCountsColumn('p.id', '$8')},
+                ${createViewerReactionsColumn('p.id', '$8')}
+            FROM pings p
+            JOIN users u ON u.id = p.user_id
+            ${createLocationPrecisionJoin('p.user_id')}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY p.created_at DESC, p.id ASC
+            LIMIT $10;
+        `;
+
+        const result = await client.query(query, queryParams);
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            createdAt: row.cursor_created_at,
+            id: row.pingId,
+            since: timeWindow.since && timeWindow.since.toISOString()
+        }));
+
+        res.json({
+            data: page.rows.map(({ cursor_created_at, ...row }) => ({
+                ...row,
+                displayName: publicDisplayName(row.name)
+            })),
+            nextCursor: page.nextCursor,
+            query: {
+                bounds: {
+                    swLat: box.swLat,
+                    swLng: box.swLng,
+                    neLat: box.neLat,
+                    neLng: box.neLng
+                },
+                crossesAntimeridian: box.crossesAntimeridian,
+                maxAgeMinutes: timeWindow.maxAgeMinutes,
+                since: timeWindow.since
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching pings within bounds:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /pings/clusters - Grid clusters of recent pings in a bounding box, or the
+// individual pings once zoomed in past clusterConfig.pointsFromZoom
+router.get('/clusters', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const { since, maxAge, mood, skill, education, experience } = req.query;
+
+    const box = parseBoundingBox(req.query);
+    if (box.error) {
+        return res.status(400).json({
+            error: 'Invalid bounding box',
+            details: box.error
+        });
+    }
+
+    const { zoom, error: zoomError } = resolveZoom(req.query.zoom);
+    if (zoomError) {
+        return res.status(400).json({
+            error: 'Invalid zoom',
+            details: zoomError
+        });
+    }
+
+    const timeWindow = resolveOptionalTimeWindow({ since, maxAge }, nearbyConfig.pings.maxAgeMinutes);
+    if (timeWindow.error) {
+        return res.status(400).json({
+            error: 'Invalid time window',
+            details: timeWindow.error
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await enablePostGISExtensions(client);
+
+        // $1-$7 hold the bounding box, see boundingBoxParams
+        const queryParams = [...boundingBoxParams(box), userId, timeWindow.since];
+        const conditions = [
+            'p.user_id != $8',
+            'p.expires_at > NOW()',
+            '($9::timestamptz IS NULL OR p.created_at > $9)',
+            createPublicWithinBoundsCondition('p', box),
+            createNotBlockedCondition('p.user_id', '$8')
+        ];
+        addPingFilters({ mood, skill, education, experience }, conditions, queryParams);
+        const whereClause = conditions.join(' AND ');
+
+        const clustered = isClusteredZoom(zoom);
+        let clusters = [];
+        let points = [];
+        let truncated;
+
+        if (clustered) {
+            queryParams.push(gridCellDegrees(zoom), clusterConfig.maxClusters + 1);
+            const clusterPosition = publicPositionSql('p');
+            const query = createClusterQuery(
+                `SELECT ${clusterPosition.latitude} AS latitude, ${clusterPosition.longitude} AS longitude, p.mood, p.category
+                 FROM pings p
+                 ${createLocationPrecisionJoin('p.user_id')}
+                 WHERE ${whereClause}`,
+                `$${queryParams.length - 1}`,
+                `$${queryParams.length}`
+            );
+            const result = await client.query(query, queryParams);
+            truncated = result.rows.length > clusterConfig.maxClusters;
+            clusters = result.rows.slice(0, clusterConfig.maxClusters).map(row => toCluster(row, zoom));
+        } else {
+            queryParams.push(clusterConfig.maxPoints + 1);
+            const result = await client.query(
+                `SELECT 
+                    u.id as "userId",
+                    u.name,
+                    p.id as "pingId",
+                    p.message,
+                    p.mood,
+                    ${createPublicCoordinateColumns('p')},
+                    p.category,
+                    p.value,
+                    p.created_at as "createdAt",
+                    p.expires_at as "expiresAt"
+                FROM pings p
+                JOIN users u ON u.id = p.user_id
+                ${createLocationPrecisionJoin('p.user_id')}
+                WHERE ${whereClause}
+                ORDER BY p.created_at DESC, p.id ASC
+                LIMIT $${queryParams.length}`,
+                queryParams
+            );
+            truncated = result.rows.length > clusterConfig.maxPoints;
+            points = result.rows.slice(0, clusterConfig.maxPoints).map(row => ({
+                ...row,
+                displayName: publicDisplayName(row.name)
+            }));
+        }
+
+        res.json({
+            data: {
+                clusters,
+                points
+            },
+            query: {
+                bounds: {
+                    swLat: box.swLat,
+                    swLng: box.swLng,
+                    neLat: box.neLat,
+                    neLng: box.neLng
+                },
+                crossesAntimeridian: box.crossesAntimeridian,
+                zoom,
+                clustered,
+                cellSizeDegrees: clustered ? gridCellDegrees(zoom) : null,
+                truncated,
+                maxAgeMinutes: timeWindow.maxAgeMinutes,
+                since: timeWindow.since
+            }
+        });
+    } catch (err) {
+        console.error('Error clustering pings:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// Helper function to parse and validate a lat/lng position from a request
+const parsePosition = (lat, lng) => {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+
+    if (isNaN(latitude) || isNaN(longitude) ||
+        latitude < -90 || latitude > 90 ||
+        longitude < -180 || longitude > 180) {
+        return null;
+    }
+
+    return { latitude, longitude };
+};
+
+// Must match the text search configuration of pings.search_vector for its index to apply
+const SEARCH_CONFIG = 'english';
+const MAX_SEARCH_LENGTH = 200;
+
+// GET /pings/search - Nearby pings matching a full-text query, best match first
+router.get('/search', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const { q, lat, lng, radius, since, maxAge, mood, skill, education, experience } = req.query;
+
+    if (typeof q !== 'string' || !q.trim() || q.length > MAX_SEARCH_LENGTH) {
+        return res.status(400).json({
+            error: 'Invalid q',
+            details: `q must be a search query of 1 to ${MAX_SEARCH_LENGTH} characters`
+        });
+    }
+
+    const position = parsePosition(lat, lng);
+    if (!position) {
+        return res.status(400).json({
+            error: 'Missing or invalid lat or lng'
+        });
+    }
+
+    const { radiusKm, error: radiusError } = resolveRadius(radius, nearbyConfig.pings.radiusKm);
+    if (radiusError) {
+        return res.status(400).json({
+            error: 'Invalid radius',
+            details: radiusError
+        });
+    }
+
+    const pagination = parseCursorPagination(req.query, { rank: 'number', createdAt: 'timestamp', id: 'uuid', since: 'timestamp?' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    // Pings are searchable until they expire; since/maxAge optionally narrow that further.
+    // Later pages reuse the cursor's since as is, so the window can't shift mid-scroll
+    const timeWindow = pagination.cursor
+        ? resolveCursorTimeWindow(pagination.cursor.since)
+        : resolveOptionalTimeWindow({ since, maxAge }, nearbyConfig.pings.maxAgeMinutes);
+    if (timeWindow.error) {
+        return res.status(400).json({
+            error: 'Invalid time window',
+            details: timeWindow.error
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await enablePostGISExtensions(client);
+
+        // websearch_to_tsquery accepts "quoted phrases", OR and -exclusions and never
+        // fails on user input, but a query made only of stop words matches nothing
+        const parsed = await client.query(
+            `SELECT numnode(websearch_to_tsquery('${SEARCH_CONFIG}', $1)) AS nodes`,
+            [q]
+        );
+        if (parsed.rows[0].nodes === 0) {
+            return res.status(400).json({
+                error: 'Invalid q',
+                details: 'q has no searchable words'
+            });
+        }
+
+        const radiusMeters = radiusKm * 1000;
+        const distanceExpression = createPublicDistanceExpression('p', '$1', '$2');
+        const rankExpression = 'ts_rank_cd(p.search_vector, s.query)';
+
+        const queryParams = [
+            position.latitude, position.longitude, userId, radiusMeters, timeWindow.since, pagination.limit + 1, q
+        ];
+        const conditions = [
+            'p.search_vector @@ s.query',
+            'p.user_id != $3',
+            'p.expires_at > NOW()',
+            '($5::timestamptz IS NULL OR p.created_at > $5)',
+            createPublicNearbyCondition('p', { lat: '$1', lng: '$2', radiusMeters: '$4::float' }),
+            createNotBlockedCondition('p.user_id', '$3')
+        ];
+        addPingFilters({ mood, skill, education, experience }, conditions, queryParams);
+
+        // Resume after the last row of the previous page (rank DESC, created_at DESC, id ASC)
+        if (pagination.cursor) {
+            queryParams.push(pagination.cursor.rank, pagination.cursor.createdAt, pagination.cursor.id);
+            const rankParam = `$${queryParams.length - 2}::real`;
+            const createdAtParam = `$${queryParams.length - 1}::timestamptz`;
+            const idParam = `$${queryParams.length}::uuid`;
+            conditions.push(`(
+                ${rankExpression} < ${rankParam}
+                OR (${rankExpression} = ${rankParam} AND p.created_at < ${createdAtParam})
+                OR (${rankExpression} = ${rankParam} AND p.created_at = ${createdAtParam} AND p.id > ${idParam})
+            )`);
+        }
+
+        const result = await client.query(
+            `SELECT
+                u.id as "userId",
+                u.name,
+                p.id as "pingId",
+                p.message,
+                p.mood,
+                ${createPublicCoordinateColumns('p')},
+                p.category,
+                p.value,
+                p.venue_id as "venueId",
+                p.created_at as "createdAt",
+                p.expires_at as "expiresAt",
+                p.created_at::text as cursor_created_at,
+                ${createReactionCountsColumn('p.id', '$3')},
+                ${createViewerReactionsColumn('p.id', '$3')},
+                ${rankExpression} as rank,
+                ${distanceExpression} as distance
+            FROM pings p
+            CROSS JOIN (SELECT websearch_to_tsquery('${SEARCH_CONFIG}', $7) AS query) s
+            JOIN users u ON u.id = p.user_id
+            ${createLocationPrecisionJoin('p.user_id')}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY rank DESC, p.created_at DESC, p.id ASC
+            LIMIT $6`,
+            queryParams
+        );
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            rank: row.rank,
+            createdAt: row.cursor_created_at,
+            id: row.pingId,
+            since: timeWindow.since && timeWindow.since.toISOString()
+        }));
+
+        res.json({
+            data: page.rows.map(({ cursor_created_at, ...row }) => ({
+                ...row,
+                displayName: publicDisplayName(row.name),
+                distance: Math.round(row.distance)
+            })),
+            nextCursor: page.nextCursor,
+            query: {
+                q,
+                radiusKm,
+                maxAgeMinutes: timeWindow.maxAgeMinutes,
+                since: timeWindow.since
+            }
+        });
+    } catch (err) {
+        console.error('Error searching pings:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /pings/stream - Receive new nearby pings as Server-Sent Events
+router.get('/stream', requireAuth, (req, res) => {
+    const { lat, lng, radius, mood, skill, education, experience } = req.query;
+
+    const position = parsePosition(lat, lng);
+    if (!position) {
+        return res.status(400).json({
+            error: 'Missing or invalid lat or lng'
+        });
+    }
+
+    const { radiusKm, error: radiusError } = resolveRadius(radius, nearbyConfig.pings.radiusKm);
+    if (radiusError) {
+        return res.status(400).json({
+            error: 'Invalid radius',
+            details: radiusError
+        });
+    }
+
+    const stream = openEventStream(req, res);
+    const subscription = pingStream.subscribe({
+        userId: req.user.id,
+        ...position,
+        radiusMeters: radiusKm * 1000,
+        filters: { mood, skill, education, experience },
+        send: stream.send
+    });
+
+    // Clients use the subscription id to update their position
+    stream.send('ready', { subscriptionId: subscription.id, radiusKm });
+
+    req.on('close', () => pingStream.unsubscribe(subscription.id));
+});
+
+// PUT /pings/stream/:subscriptionId/position - Move a live subscription
+router.put('/stream/:subscriptionId/position', requireAuth, (req, res) => {
+    const { subscriptionId } = req.params;
+    const { lat, lng } = req.body;
+
+    // Subscriptions live in this process only; clients resubscribe after a reconnect
+    const subscription = pingStream.getSubscription(subscriptionId);
+    if (!subscription) {
+        return res.status(404).json({
+            error: 'Subscription not found',
+            details: 'No active stream subscription exists with this id'
+        });
+    }
+
+    if (!can(req.user, 'ping-stream:update', subscription)) {
+        return forbidden(res, 'ping-stream:update');
+    }
+
+    const position = parsePosition(lat, lng);
+    if (!position) {
+        return res.status(400).json({
+            error: 'Missing or invalid lat or lng'
+        });
+    }
+
+    pingStream.updatePosition(subscriptionId, position.latitude, position.longitude);
+
+    res.json({
+        status: 'ok',
+        message: 'Subscription position updated',
+        data: {
+            subscriptionId,
+            ...position
+        }
+    });
+});
+
 // GET /pings/filters
 router.get('/filters', async (req, res) => {
     try {
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { requireAuth } = require('../auth/middleware');
+const { LOCATION_PRECISIONS, getPrivacySettings, updatePrivacySettings } = require('../privacy');
+
+router.use(requireAuth);
+
+// GET /privacy - The current user's privacy settings
+router.get('/', async (req, res) => {
+    try {
+        const settings = await getPrivacySettings(pool, req.user.id);
+
+        res.json({
+            data: settings
+        });
+    } catch (err) {
+        console.error('Error fetching privacy settings:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// PATCH /privacy - Change locationPrecision and/or shareEncounters
+router.patch('/', async (req, res) => {
+    const { locationPrecision, shareEncounters } = req.body;
+
+    if (locationPrecision === undefined && shareEncounters === undefined) {
+        return res.status(400).json({
+            error: 'Missing settings',
+            details: 'Provide locationPrecision and/or shareEncounters'
+        });
+    }
+
+    if (locationPrecision !== undefined && !LOCATION_PRECISIONS.includes(locationPrecision)) {
+        return res.status(400).json({
+            error: 'Invalid locationPrecision',
+            details: `locationPrecision must be one of: ${LOCATION_PRECISIONS.join(', ')}`
+        });
+    }
+
+    if (shareEncounters !== undefined && typeof shareEncounters !== 'boolean') {
+        return res.status(400).json({
+            error: 'Invalid shareEncounters',
+            details: 'shareEncounters must be a boolean'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const settings = await updatePrivacySettings(client, req.user.id, { locationPrecision, shareEncounters });
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'Privacy settings updated',
+            data: settings
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error updating privacy settings:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
+const { requireAuth, authorize } = require('../auth/middleware');
+const { hashPassword, validatePassword } = require('../auth/passwords');
+const { createNotBlockedCondition } = require('../utils/blocks');
 
 // Validate category helper function
 const isValidCategory = (category) => ['skill', 'education', 'experience'].includes(category);
@@ -69,13 +72,16 @@ const saveProfileImage = async (client, userId, imageData) => {
 
 // POST /profiles - Create a new user
 router.post('/', async (req, res) => {
-    const { email, name, profileItems: items, profileImageData } = req.body;
+    const { email, name, password, profileItems: items, profileImageData } = req.body;
 
     // Validate required fields
-    if (!email) {
+    if (!email || !password) {
         return res.status(400).json({
             error: 'Missing required fields',
-            details: 'Email is required'
+            details: {
+                email: !email ? 'Email is required' : null,
+                password: !password ? 'Password is required' : null
+            }
         });
     }
 
@@ -88,6 +94,15 @@ router.post('/', async (req, res) => {
         });
     }
 
+    // Validate password strength
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.valid) {
+        return res.status(400).json({
+            error: 'Invalid password',
+            details: passwordValidation.error
+        });
+    }
+
     // Validate profile image if provided
     if (profileImageData) {
         const imageValidation = validateProfileImage(profileImageData);
@@ -99,6 +114,8 @@ router.post('/', async (req, res) => {
         }
     }
 
+    const passwordHash = await hashPassword(password);
+
     const client = await pool.connect();
 
     try {
@@ -121,10 +138,10 @@ router.post('/', async (req, res) => {
 
         // Create user
         const userResult = await client.query(
-            `INSERT INTO users (email, name) 
-             VALUES ($1, $2) 
+            `INSERT INTO users (email, name, password_hash) 
+             VALUES ($1, $2, $3) 
              RETURNING id, email, name, created_at as "createdAt", updated_at as "updatedAt"`,
-            [email, name || null]
+            [email, name || null, passwordHash]
         );
 
         const userId = userResult.rows[0].id;
@@ -195,12 +212,12 @@ router.post('/', async (req, res) => {
 });
 
 // GET /profiles/:id
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireAuth, async (req, res) => {
     const { id } = req.params;
 
     const client = await pool.connect();
     try {
-        // Get user profile
+        // Get user profile (blocked users are treated as not found)
         const userQuery = `
             SELECT 
                 u.id as "userId",
@@ -210,9 +227,10 @@ router.get('/:id', async (req, res) => {
                 u.updated_at as "updatedAt"
             FROM users u
             WHERE u.id = $1
+            AND ${createNotBlockedCondition('u.id', '$2')}
         `;
 
-        const userResult = await client.query(userQuery, [id]);
+        const userResult = await client.query(userQuery, [id, req.user.id]);
 
         if (userResult.rows.length === 0) {
             return res.status(404).json({
@@ -307,8 +325,49 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET /profiles/:id/image - Serve the profile image as JPEG (used for avatar URLs)
+router.get('/:id/image', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    // Validate UUID format
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!UUID_REGEX.test(id)) {
+        return res.status(400).json({
+            error: 'Invalid id',
+            details: 'Profile ID must be a valid UUID'
+        });
+    }
+
+    try {
+        // Blocked users are treated as not found
+        const userCheck = await pool.query(
+            `SELECT u.id FROM users u 
+             WHERE u.id = $1
+             AND ${createNotBlockedCondition('u.id', '$2')}`,
+            [id, req.user.id]
+        );
+
+        const profileImage = userCheck.rows.length > 0 ? await getProfileImage(pool, id) : null;
+        if (!profileImage) {
+            return res.status(404).json({
+                error: 'Image not found',
+                details: `No profile image exists for user ${id}`
+            });
+        }
+
+        res.set('Content-Type', 'image/jpeg');
+        res.send(Buffer.from(profileImage.split(',')[1], 'base64'));
+    } catch (err) {
+        console.error('Error fetching profile image:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
 // GET /profiles/by-email/:email
-router.get('/by-email/:email', async (req, res) => {
+router.get('/by-email/:email', requireAuth, async (req, res) => {
     const { email } = req.params;
 
     // Validate email format
@@ -322,7 +381,7 @@ router.get('/by-email/:email', async (req, res) => {
 
     const client = await pool.connect();
     try {
-        // Get user profile by email
+        // Get user profile by email (blocked users are treated as not found)
         const userQuery = `
             SELECT 
                 u.id as "userId",
@@ -332,9 +391,10 @@ router.get('/by-email/:email', async (req, res) => {
                 u.updated_at as "updatedAt"
             FROM users u
             WHERE u.email = $1
+            AND ${createNotBlockedCondition('u.id', '$2')}
         `;
 
-        const userResult = await client.query(userQuery, [email]);
+        const userResult = await client.query(userQuery, [email, req.user.id]);
 
         if (userResult.rows.length === 0) {
             return res.status(404).json({
@@ -432,7 +492,7 @@ router.get('/by-email/:email', async (req, res) => {
 });
 
 // PUT /profiles/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, authorize('profile:update', req => ({ id: req.params.id })), async (req, res) => {
     const { id } = req.params;
     const { name, email, profileItems: items, moodBadges, profileImageData } = req.body;
 
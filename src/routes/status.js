@@ -1,31 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
+const { requireAuth } = require('../auth/middleware');
+const { isOnline, createOnlineCondition } = require('../utils/presence');
+const { domainEvents } = require('../events');
+const presence = require('../realtime/presence');
+const { openEventStream } = require('../realtime/sse');
 
 // POST /status/broadcasting - Set broadcasting status
-router.post('/broadcasting', async (req, res) => {
-    const { userId, is_broadcasting } = req.body;
+router.post('/broadcasting', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const { is_broadcasting } = req.body;
 
     // Validate required fields
-    if (!userId || typeof is_broadcasting !== 'boolean') {
+    if (typeof is_broadcasting !== 'boolean') {
         return res.status(400).json({
             error: 'Missing or invalid required fields',
             details: {
-                userId: !userId ? 'Missing userId' : null,
                 is_broadcasting: typeof is_broadcasting !== 'boolean' ? 'Must be boolean' : null
             }
         });
     }
 
-    // Validate UUID format
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!UUID_REGEX.test(userId)) {
-        return res.status(400).json({
-            error: 'Invalid user ID format',
-            details: 'User ID must be a valid UUID'
-        });
-    }
-
     try {
         // Check if user exists
         const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
@@ -47,6 +43,13 @@ router.post('/broadcasting', async (req, res) => {
             [userId, is_broadcasting]
         );
 
+        domainEvents.emit('presence.changed', {
+            userId: result.rows[0].user_id,
+            isOnline: true,
+            isBroadcasting: result.rows[0].is_broadcasting,
+            lastSeen: result.rows[0].last_seen
+        });
+
         res.json({
             status: 'ok',
             message: `Broadcasting status ${is_broadcasting ? 'enabled' : 'disabled'}`,
@@ -67,25 +70,8 @@ router.post('/broadcasting', async (req, res) => {
 });
 
 // POST /status/heartbeat - Update heartbeat (keep alive)
-router.post('/heartbeat', async (req, res) => {
-    const { userId } = req.body;
-
-    // Validate required fields
-    if (!userId) {
-        return res.status(400).json({
-            error: 'Missing required field',
-            details: 'userId is required'
-        });
-    }
-
-    // Validate UUID format
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!UUID_REGEX.test(userId)) {
-        return res.status(400).json({
-            error: 'Invalid user ID format',
-            details: 'User ID must be a valid UUID'
-        });
-    }
+router.post('/heartbeat', requireAuth, async (req, res) => {
+    const userId = req.user.id;
 
     try {
         // Check if user exists
@@ -97,16 +83,32 @@ router.post('/heartbeat', async (req, res) => {
             });
         }
 
-        // Update last_seen or create status record if it doesn't exist
+        // Update last_seen or create status record if it doesn't exist.
+        // The CTE reads the row as it was before this heartbeat
         const result = await pool.query(
-            `INSERT INTO user_status (user_id, is_broadcasting, last_seen)
+            `WITH previous AS (
+                SELECT ${createOnlineCondition('us')} AS was_online
+                FROM user_status us
+                WHERE us.user_id = $1
+             )
+             INSERT INTO user_status (user_id, is_broadcasting, last_seen)
              VALUES ($1, false, NOW())
              ON CONFLICT (user_id) DO UPDATE
              SET last_seen = NOW()
-             RETURNING user_id, is_broadcasting, last_seen`,
+             RETURNING user_id, is_broadcasting, last_seen, (SELECT was_online FROM previous) AS was_online`,
             [userId]
         );
 
+        // Only the heartbeat that brings a user back online is a presence change
+        if (!result.rows[0].was_online) {
+            domainEvents.emit('presence.changed', {
+                userId: result.rows[0].user_id,
+                isOnline: true,
+                isBroadcasting: result.rows[0].is_broadcasting,
+                lastSeen: result.rows[0].last_seen
+            });
+        }
+
         res.json({
             status: 'ok',
             message: 'Heartbeat updated',
@@ -125,6 +127,31 @@ router.post('/heartbeat', async (req, res) => {
     }
 });
 
+// GET /status/stream - Hold a presence connection open and receive connection status changes.
+// The user counts as online for as long as the stream stays open.
+router.get('/stream', requireAuth, async (req, res) => {
+    const userId = req.user.id;
+    const stream = openEventStream(req, res);
+
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+        presence.disconnect(userId, stream.send)
+            .catch(err => console.error('Error closing presence stream:', err));
+    });
+
+    try {
+        const snapshot = await presence.connect(userId, stream.send);
+        if (!closed) {
+            stream.send('snapshot', snapshot);
+        }
+    } catch (err) {
+        console.error('Error opening presence stream:', err);
+        stream.send('error', { error: 'Internal server error' });
+        res.end();
+    }
+});
+
 // GET /status/:userId - Get user status (for debugging)
 router.get('/:userId', async (req, res) => {
     const { userId } = req.params;
@@ -150,7 +177,7 @@ router.get('/:userId', async (req, res) => {
 
         // Get user status
         const result = await pool.query(
-            `SELECT user_id, is_broadcasting, last_seen, created_at, updated_at
+            `SELECT user_id, is_broadcasting, last_seen, disconnected_at, created_at, updated_at
              FROM user_status 
              WHERE user_id = $1`,
             [userId]
@@ -168,13 +195,12 @@ router.get('/:userId', async (req, res) => {
         }
 
         const statusData = result.rows[0];
-        const isOnline = new Date() - new Date(statusData.last_seen) <= 3 * 60 * 1000; // 3 minutes
 
         res.json({
             userId: statusData.user_id,
             isBroadcasting: statusData.is_broadcasting,
             lastSeen: statusData.last_seen,
-            isOnline: isOnline,
+            isOnline: isOnline(statusData),
             createdAt: statusData.created_at,
             updatedAt: statusData.updated_at
         });
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { pool, enablePostGISExtensions } = require('../config/db');
+const { requireAuth, authorize, forbidden } = require('../auth/middleware');
+const { can } = require('../auth/policies');
+const { createNotBlockedCondition, isBlockedBetween } = require('../utils/blocks');
+const { createNotification } = require('../notifications');
+const { enqueueWebhookEvent } = require('../webhooks');
+const { parseCursorPagination, buildCursorPage } = require('../utils/pagination');
 
 // Helper function to validate UUID format
 const isValidUUID = (uuid) => {
@@ -35,33 +41,35 @@ const getProfileItems = async (client, userId) => {
 };
 
 // GET /validation/nearby - Get connected users who can be validated
-router.get('/nearby', async (req, res) => {
-    const { userId } = req.query;
+router.get('/nearby', requireAuth, async (req, res) => {
+    const userId = req.user.id;
 
-    // Validate required parameters
-    if (!userId) {
+    const pagination = parseCursorPagination(req.query, { sortName: 'string', userId: 'uuid' });
+    if (pagination.error) {
         return res.status(400).json({
-            error: 'Missing required parameters',
-            details: 'userId is required'
-        });
-    }
-
-    // Validate UUID format
-    if (!isValidUUID(userId)) {
-        return res.status(400).json({
-            error: 'Invalid userId',
-            details: 'userId must be a valid UUID'
+            error: 'Invalid pagination',
+            details: pagination.error
         });
     }
 
     const client = await pool.connect();
     try {
-        // Find all connected users
+        const queryParams = [userId, pagination.limit + 1];
+
+        // Resume after the last row of the previous page (display name, then id)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = 'AND (LOWER(COALESCE(u.name, u.email)), u.id) > ($3, $4::uuid)';
+            queryParams.push(pagination.cursor.sortName, pagination.cursor.userId);
+        }
+
+        // Find connected users, ordered by display name
         const connectedUsersQuery = `
             SELECT DISTINCT
                 u.id as user_id,
                 u.name,
                 u.email,
+                LOWER(COALESCE(u.name, u.email)) as sort_name,
                 COUNT(vr.id) as validation_count
             FROM users u
             JOIN connections c ON (
@@ -71,13 +79,22 @@ router.get('/nearby', async (req, res) => {
             LEFT JOIN validation_records vr ON u.id = vr.validated_user_id
             WHERE u.id != $1
             AND c.status = 'connected'
+            AND ${createNotBlockedCondition('u.id', '$1')}
+            ${cursorCondition}
             GROUP BY u.id, u.name, u.email
+            ORDER BY sort_name ASC, user_id ASC
+            LIMIT $2
         `;
 
-        const connectedUsers = await client.query(connectedUsersQuery, [userId]);
+        const connectedUsers = await client.query(connectedUsersQuery, queryParams);
+
+        const page = buildCursorPage(connectedUsers.rows, pagination.limit, row => ({
+            sortName: row.sort_name,
+            userId: row.user_id
+        }));
 
         const result = [];
-        for (const user of connectedUsers.rows) {
+        for (const user of page.rows) {
             const profileItems = await getProfileItems(client, user.user_id);
 
             result.push({
@@ -91,7 +108,10 @@ router.get('/nearby', async (req, res) => {
             });
         }
 
-        res.json(result);
+        res.json({
+            data: result,
+            nextCursor: page.nextCursor
+        });
     } catch (error) {
         console.error('Error fetching connected validatable users:', error);
         res.status(500).json({
@@ -104,15 +124,15 @@ router.get('/nearby', async (req, res) => {
 });
 
 // POST /validation/request - Send a validation request
-router.post('/request', async (req, res) => {
-    const { fromUserId, toUserId, category, specificItem } = req.body;
+router.post('/request', requireAuth, async (req, res) => {
+    const fromUserId = req.user.id;
+    const { toUserId, category, specificItem } = req.body;
 
     // Validate required fields
-    if (!fromUserId || !toUserId || !category || !specificItem) {
+    if (!toUserId || !category || !specificItem) {
         return res.status(400).json({
             error: 'Missing required fields',
             details: {
-                fromUserId: !fromUserId ? 'Missing fromUserId' : null,
                 toUserId: !toUserId ? 'Missing toUserId' : null,
                 category: !category ? 'Missing category' : null,
                 specificItem: !specificItem ? 'Missing specificItem' : null
@@ -120,11 +140,11 @@ router.post('/request', async (req, res) => {
         });
     }
 
-    // Validate UUID formats
-    if (!isValidUUID(fromUserId) || !isValidUUID(toUserId)) {
+    // Validate UUID format
+    if (!isValidUUID(toUserId)) {
         return res.status(400).json({
             error: 'Invalid user ID format',
-            details: 'Both fromUserId and toUserId must be valid UUIDs'
+            details: 'toUserId must be a valid UUID'
         });
     }
 
@@ -163,6 +183,15 @@ router.post('/request', async (req, res) => {
             });
         }
 
+        // Blocked users cannot send each other requests
+        if (await isBlockedBetween(client, fromUserId, toUserId)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({
+                error: 'User blocked',
+                details: 'Cannot send a validation request to or from a blocked user'
+            });
+        }
+
         // Check connection status
         const connectionState = await getConnectionStatus(client, fromUserId, toUserId);
         if (connectionState !== 'connected') {
@@ -231,6 +260,17 @@ router.post('/request', async (req, res) => {
             [fromUserId, toUserId, category, specificItem]
         );
 
+        await createNotification(client, {
+            userId: toUserId,
+            type: 'validation.requested',
+            actorId: fromUserId,
+            data: {
+                requestId: requestResult.rows[0].id,
+                category,
+                specificItem
+            }
+        });
+
         await client.query('COMMIT');
 
         res.status(201).json({
@@ -259,7 +299,7 @@ router.post('/request', async (req, res) => {
 });
 
 // POST /validation/respond - Respond to a validation request
-router.post('/respond', async (req, res) => {
+router.post('/respond', requireAuth, async (req, res) => {
     const { requestId, response } = req.body;
 
     // Validate required fields
@@ -300,6 +340,7 @@ router.post('/respond', async (req, res) => {
             JOIN users u1 ON vr.from_user_id = u1.id
             JOIN users u2 ON vr.to_user_id = u2.id
             WHERE vr.id = $1
+            FOR UPDATE OF vr
         `;
         const requestResult = await client.query(requestQuery, [requestId]);
 
@@ -313,6 +354,12 @@ router.post('/respond', async (req, res) => {
 
         const request = requestResult.rows[0];
 
+        // Only the recipient of the request may answer it
+        if (!can(req.user, 'validation:respond', request)) {
+            await client.query('ROLLBACK');
+            return forbidden(res, 'validation:respond');
+        }
+
         // Check if request is still pending
         if (request.status !== 'pending') {
             await client.query('ROLLBACK');
@@ -354,8 +401,28 @@ router.post('/respond', async (req, res) => {
                     requestId
                 ]
             );
+
+            await enqueueWebhookEvent(client, 'validation.approved', {
+                requestId,
+                validatedUserId: request.to_user_id,
+                validatorUserId: request.from_user_id,
+                category: request.category,
+                specificItem: request.specific_item
+            });
         }
 
+        await createNotification(client, {
+            userId: request.from_user_id,
+            type: 'validation.responded',
+            actorId: request.to_user_id,
+            data: {
+                requestId,
+                response,
+                category: request.category,
+                specificItem: request.specific_item
+            }
+        });
+
         await client.query('COMMIT');
 
         res.json({
@@ -374,7 +441,7 @@ router.post('/respond', async (req, res) => {
 });
 
 // GET /validation/pending/:userId - Get pending validation requests for a user
-router.get('/pending/:userId', async (req, res) => {
+router.get('/pending/:userId', requireAuth, authorize('validation:read-pending', req => ({ id: req.params.userId })), async (req, res) => {
     const { userId } = req.params;
 
     // Validate UUID format
@@ -385,6 +452,14 @@ router.get('/pending/:userId', async (req, res) => {
         });
     }
 
+    const pagination = parseCursorPagination(req.query, { createdAt: 'timestamp', id: 'uuid' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
     const client = await pool.connect();
     try {
         // Check if user exists
@@ -396,6 +471,18 @@ router.get('/pending/:userId', async (req, res) => {
             });
         }
 
+        const queryParams = [userId, pagination.limit + 1];
+
+        // Resume after the last row of the previous page (created_at DESC, id ASC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                vr.created_at < $3::timestamptz
+                OR (vr.created_at = $3::timestamptz AND vr.id > $4::uuid)
+            )`;
+            queryParams.push(pagination.cursor.createdAt, pagination.cursor.id);
+        }
+
         // Get pending validation requests
         const requestsQuery = `
             SELECT 
@@ -404,6 +491,7 @@ router.get('/pending/:userId', async (req, res) => {
                 vr.category,
                 vr.specific_item as "specificItem",
                 vr.created_at as "createdAt",
+                vr.created_at::text as cursor_created_at,
                 vr.expires_at as "expiresAt",
                 u.name as "requesterName",
                 u.email as "requesterEmail"
@@ -412,18 +500,29 @@ router.get('/pending/:userId', async (req, res) => {
             WHERE vr.to_user_id = $1 
             AND vr.status = 'pending'
             AND vr.expires_at > CURRENT_TIMESTAMP
-            ORDER BY vr.created_at DESC
+            AND ${createNotBlockedCondition('vr.from_user_id', '$1')}
+            ${cursorCondition}
+            ORDER BY vr.created_at DESC, vr.id ASC
+            LIMIT $2
         `;
 
-        const result = await client.query(requestsQuery, [userId]);
+        const result = await client.query(requestsQuery, queryParams);
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            createdAt: row.cursor_created_at,
+            id: row.id
+        }));
 
         // Transform results to include display name
-        const transformedResults = result.rows.map(row => ({
+        const transformedResults = page.rows.map(({ cursor_created_at, ...row }) => ({
             ...row,
             requesterDisplayName: row.requesterName || row.requesterEmail
         }));
 
-        res.json(transformedResults);
+        res.json({
+            data: transformedResults,
+            nextCursor: page.nextCursor
+        });
     } catch (error) {
         console.error('Error fetching pending validation requests:', error);
         res.status(500).json({
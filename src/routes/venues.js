@@ -0,0 +1,447 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { requireAuth, forbidden } = require('../auth/middleware');
+const { can } = require('../auth/policies');
+const { createNotBlockedCondition } = require('../utils/blocks');
+const { resolveOptionalTimeWindow, resolveCursorTimeWindow } = require('../utils/nearbyParams');
+const nearbyConfig = require('../config/nearby');
+const { parseCursorPagination, buildCursorPage } = require('../utils/pagination');
+const {
+    VENUE_VISIBILITIES,
+    parseVenueShape,
+    createVisibleVenueCondition,
+    findVenuesContaining,
+    toVenue
+} = require('../venues');
+const { createLocationPrecisionJoin, createPublicCoordinateColumns, publicDisplayName } = require('../privacy');
+const { createReactionCountsColumn, createViewerReactionsColumn } = require('../reactions');
+
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return UUID_REGEX.test(uuid);
+};
+
+// Helper function to parse an optional schedule bound; null clears it
+const parseScheduleTime = (value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Helper function to validate venue fields shared by create and update.
+// Returns the columns to store, or an error response body.
+const validateVenueFields = ({ name, description, shape, visibility, startsAt, endsAt }) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+        return { error: { error: 'Invalid name', details: 'name must be a non-empty string' } };
+    }
+
+    if (description !== null && description !== undefined && typeof description !== 'string') {
+        return { error: { error: 'Invalid description', details: 'description must be a string' } };
+    }
+
+    const parsedShape = parseVenueShape(shape);
+    if (parsedShape.error) {
+        return { error: { error: 'Invalid shape', details: parsedShape.error } };
+    }
+
+    if (!VENUE_VISIBILITIES.includes(visibility)) {
+        return {
+            error: { error: 'Invalid visibility', details: `visibility must be one of: ${VENUE_VISIBILITIES.join(', ')}` }
+        };
+    }
+
+    const start = parseScheduleTime(startsAt);
+    const end = parseScheduleTime(endsAt);
+    if (start === undefined || end === undefined) {
+        return {
+            error: {
+                error: 'Invalid schedule',
+                details: {
+                    startsAt: start === undefined ? 'Must be an ISO 8601 timestamp or null' : null,
+                    endsAt: end === undefined ? 'Must be an ISO 8601 timestamp or null' : null
+                }
+            }
+        };
+    }
+    if (start && end && start >= end) {
+        return { error: { error: 'Invalid schedule', details: 'startsAt must be before endsAt' } };
+    }
+
+    const { shape: normalized, bounds } = parsedShape;
+    return {
+        values: [
+            name.trim(),
+            description || null,
+            normalized.type,
+            normalized.type === 'circle' ? normalized.center.lat : null,
+            normalized.type === 'circle' ? normalized.center.lng : null,
+            normalized.type === 'circle' ? normalized.radiusMeters : null,
+            normalized.type === 'polygon' ? JSON.stringify(normalized.points) : null,
+            bounds.minLat,
+            bounds.minLng,
+            bounds.maxLat,
+            bounds.maxLng,
+            visibility,
+            start,
+            end
+        ]
+    };
+};
+
+// POST /venues - Create a venue owned by the current user
+router.post('/', requireAuth, async (req, res) => {
+    const { name, description, shape, visibility = 'public', startsAt, endsAt } = req.body;
+
+    const fields = validateVenueFields({ name, description, shape, visibility, startsAt, endsAt });
+    if (fields.error) {
+        return res.status(400).json(fields.error);
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO venues (
+                owner_user_id, name, description, shape_type,
+                center_latitude, center_longitude, radius_meters, polygon,
+                min_latitude, min_longitude, max_latitude, max_longitude,
+                visibility, starts_at, ends_at
+             )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+             RETURNING *`,
+            [req.user.id, ...fields.values]
+        );
+
+        res.status(201).json({
+            status: 'ok',
+            message: 'Venue created successfully',
+            data: toVenue(result.rows[0])
+        });
+    } catch (err) {
+        console.error('Error creating venue:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /venues/containing - Active venues visible to the current user that contain a point
+router.get('/containing', requireAuth, async (req, res) => {
+    const latitude = parseFloat(req.query.lat);
+    const longitude = parseFloat(req.query.lng);
+
+    if (isNaN(latitude) || isNaN(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return res.status(400).json({
+            error: 'Invalid parameters',
+            details: {
+                lat: isNaN(latitude) || latitude < -90 || latitude > 90 ? 'Must be a number between -90 and 90' : null,
+                lng: isNaN(longitude) || longitude < -180 || longitude > 180 ? 'Must be a number between -180 and 180' : null
+            }
+        });
+    }
+
+    try {
+        const venues = await findVenuesContaining(pool, req.user.id, latitude, longitude);
+
+        res.json({
+            data: venues.map(toVenue)
+        });
+    } catch (err) {
+        console.error('Error fetching venues containing point:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /venues/:id - Venue details; hidden venues look the same as missing ones
+router.get('/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid venue ID format',
+            details: 'Venue ID must be a valid UUID'
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT v.* FROM venues v
+             WHERE v.id = $1 AND ${createVisibleVenueCondition('v', '$2')}`,
+            [id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Venue not found',
+                details: `No venue exists with id ${id}`
+            });
+        }
+
+        res.json({
+            data: toVenue(result.rows[0])
+        });
+    } catch (err) {
+        console.error('Error fetching venue:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// PATCH /venues/:id - Update a venue; omitted fields keep their current value
+router.patch('/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid venue ID format',
+            details: 'Venue ID must be a valid UUID'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            `SELECT v.* FROM venues v
+             WHERE v.id = $1 AND ${createVisibleVenueCondition('v', '$2')}
+             FOR UPDATE OF v`,
+            [id, req.user.id]
+        );
+
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'Venue not found',
+                details: `No venue exists with id ${id}`
+            });
+        }
+
+        if (!can(req.user, 'venue:update', existing.rows[0])) {
+            await client.query('ROLLBACK');
+            return forbidden(res, 'venue:update');
+        }
+
+        const current = toVenue(existing.rows[0]);
+        const pick = (key) => (req.body[key] === undefined ? current[key] : req.body[key]);
+        const fields = validateVenueFields({
+            name: pick('name'),
+            description: pick('description'),
+            shape: pick('shape'),
+            visibility: pick('visibility'),
+            startsAt: pick('startsAt'),
+            endsAt: pick('endsAt')
+        });
+        if (fields.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json(fields.error);
+        }
+
+        const result = await client.query(
+            `UPDATE venues
+             SET name = $2, description = $3, shape_type = $4,
+                 center_latitude = $5, center_longitude = $6, radius_meters = $7, polygon = $8,
+                 min_latitude = $9, min_longitude = $10, max_latitude = $11, max_longitude = $12,
+                 visibility = $13, starts_at = $14, ends_at = $15,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [id, ...fields.values]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'Venue updated successfully',
+            data: toVenue(result.rows[0])
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error updating venue:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// DELETE /venues/:id - Remove a venue; its pings stay but lose the venue link
+router.delete('/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid venue ID format',
+            details: 'Venue ID must be a valid UUID'
+        });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            `SELECT v.* FROM venues v
+             WHERE v.id = $1 AND ${createVisibleVenueCondition('v', '$2')}
+             FOR UPDATE OF v`,
+            [id, req.user.id]
+        );
+
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                error: 'Venue not found',
+                details: `No venue exists with id ${id}`
+            });
+        }
+
+        if (!can(req.user, 'venue:update', existing.rows[0])) {
+            await client.query('ROLLBACK');
+            return forbidden(res, 'venue:update');
+        }
+
+        await client.query('DELETE FROM venues WHERE id = $1', [id]);
+        await client.query('COMMIT');
+
+        res.json({
+            status: 'ok',
+            message: 'Venue deleted successfully'
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting venue:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /venues/:id/pings - Unexpired pings posted to a venue, regardless of distance
+router.get('/:id/pings', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid venue ID format',
+            details: 'Venue ID must be a valid UUID'
+        });
+    }
+
+    const pagination = parseCursorPagination(req.query, { createdAt: 'timestamp', id: 'uuid', since: 'timestamp?' });
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    // Pings are listed until they expire; since/maxAge optionally narrow that further.
+    // Later pages reuse the cursor's since as is, so the window can't shift mid-scroll
+    const timeWindow = pagination.cursor
+        ? resolveCursorTimeWindow(pagination.cursor.since)
+        : resolveOptionalTimeWindow(req.query, nearbyConfig.pings.maxAgeMinutes);
+    if (timeWindow.error) {
+        return res.status(400).json({
+            error: 'Invalid time window',
+            details: timeWindow.error
+        });
+    }
+
+    try {
+        const venueCheck = await pool.query(
+            `SELECT v.id FROM venues v
+             WHERE v.id = $1 AND ${createVisibleVenueCondition('v', '$2')}`,
+            [id, userId]
+        );
+
+        if (venueCheck.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Venue not found',
+                details: `No venue exists with id ${id}`
+            });
+        }
+
+        const queryParams = [id, userId, timeWindow.since, pagination.limit + 1];
+
+        // Resume after the last row of the previous page (created_at DESC, id ASC)
+        let cursorCondition = '';
+        if (pagination.cursor) {
+            cursorCondition = `AND (
+                p.created_at < $5::timestamptz
+                OR (p.created_at = $5::timestamptz AND p.id > $6::uuid)
+            )`;
+            queryParams.push(pagination.cursor.createdAt, pagination.cursor.id);
+        }
+
+        const result = await pool.query(
+            `SELECT
+                u.id as "userId",
+                u.name,
+                p.id as "pingId",
+                p.message,
+                p.mood,
+                ${createPublicCoordinateColumns('p')},
+                p.category,
+                p.value,
+                p.venue_id as "venueId",
+                p.created_at as "createdAt",
+                p.expires_at as "expiresAt",
+                p.created_at::text as cursor_created_at,
+                ${createReactionCountsColumn('p.id', '$2')},
+                ${createViewerReactionsColumn('p.id', '$2')}
+            FROM pings p
+            JOIN users u ON u.id = p.user_id
+            ${createLocationPrecisionJoin('p.user_id')}
+            WHERE p.venue_id = $1
+            AND p.expires_at > NOW()
+            AND ($3::timestamptz IS NULL OR p.created_at > $3)
+            AND ${createNotBlockedCondition('p.user_id', '$2')}
+            ${cursorCondition}
+            ORDER BY p.created_at DESC, p.id ASC
+            LIMIT $4`,
+            queryParams
+        );
+
+        const page = buildCursorPage(result.rows, pagination.limit, row => ({
+            createdAt: row.cursor_created_at,
+            id: row.pingId,
+            since: timeWindow.since && timeWindow.since.toISOString()
+        }));
+
+        res.json({
+            data: page.rows.map(({ cursor_created_at, ...row }) => ({
+                ...row,
+                displayName: publicDisplayName(row.name)
+            })),
+            nextCursor: page.nextCursor,
+            query: {
+                maxAgeMinutes: timeWindow.maxAgeMinutes,
+                since: timeWindow.since
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching venue pings:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { pool } = require('../config/db');
+const { requireAdmin } = require('../auth/middleware');
+const { WEBHOOK_EVENT_TYPES } = require('../webhooks');
+const { parseLimitOffset } = require('../utils/pagination');
+
+// Helper function to validate UUID format
+const isValidUUID = (uuid) => {
+    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    return UUID_REGEX.test(uuid);
+};
+
+// Validate webhook URL helper function
+const isValidWebhookUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+    } catch (err) {
+        return false;
+    }
+};
+
+// Validate event types helper function
+const validateEventTypes = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+        return `Unknown event types: ${unknown.join(', ')}. Must be one of: ${WEBHOOK_EVENT_TYPES.join(', ')}`;
+    }
+    return null;
+};
+
+const SUBSCRIPTION_COLUMNS = `
+    id,
+    url,
+    event_types as "events",
+    description,
+    is_active as "isActive",
+    created_at as "createdAt",
+    updated_at as "updatedAt"
+`;
+
+// Webhook management is restricted to internal services
+router.use(requireAdmin);
+
+// POST /webhooks - Register a webhook subscription
+router.post('/', async (req, res) => {
+    const { url, events, description } = req.body;
+
+    if (!url || !events) {
+        return res.status(400).json({
+            error: 'Missing required fields',
+            details: {
+                url: !url ? 'Missing url' : null,
+                events: !events ? 'Missing events' : null
+            }
+        });
+    }
+
+    if (!isValidWebhookUrl(url)) {
+        return res.status(400).json({
+            error: 'Invalid url',
+            details: 'url must be an absolute http(s) URL'
+        });
+    }
+
+    const eventsError = validateEventTypes(events);
+    if (eventsError) {
+        return res.status(400).json({
+            error: 'Invalid events',
+            details: eventsError
+        });
+    }
+
+    try {
+        // The secret is only returned once, at creation
+        const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+        const result = await pool.query(
+            `INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+             VALUES ($1, $2, $3, $4)
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [url, secret, [...new Set(events)], description || null]
+        );
+
+        res.status(201).json({
+            status: 'ok',
+            message: 'Webhook subscription created',
+            data: {
+                ...result.rows[0],
+                secret
+            }
+        });
+    } catch (err) {
+        console.error('Error creating webhook subscription:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /webhooks - List webhook subscriptions
+router.get('/', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY created_at DESC`
+        );
+        res.json(result.rows);
+    } catch (err) {
+        console.error('Error fetching webhook subscriptions:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// PATCH /webhooks/:id - Update url, events, description or active flag
+router.patch('/:id', async (req, res) => {
+    const { id } = req.params;
+    const { url, events, description, isActive } = req.body;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid id',
+            details: 'Webhook ID must be a valid UUID'
+        });
+    }
+
+    if (url !== undefined && !isValidWebhookUrl(url)) {
+        return res.status(400).json({
+            error: 'Invalid url',
+            details: 'url must be an absolute http(s) URL'
+        });
+    }
+
+    if (events !== undefined) {
+        const eventsError = validateEventTypes(events);
+        if (eventsError) {
+            return res.status(400).json({
+                error: 'Invalid events',
+                details: eventsError
+            });
+        }
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return res.status(400).json({
+            error: 'Invalid isActive',
+            details: 'isActive must be a boolean'
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `UPDATE webhook_subscriptions
+             SET url = COALESCE($2, url),
+                 event_types = COALESCE($3, event_types),
+                 description = COALESCE($4, description),
+                 is_active = COALESCE($5, is_active),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [
+                id,
+                url === undefined ? null : url,
+                events === undefined ? null : [...new Set(events)],
+                description === undefined ? null : description,
+                isActive === undefined ? null : isActive
+            ]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Webhook not found',
+                details: `No webhook subscription exists with id ${id}`
+            });
+        }
+
+        res.json({
+            status: 'ok',
+            message: 'Webhook subscription updated',
+            data: result.rows[0]
+        });
+    } catch (err) {
+        console.error('Error updating webhook subscription:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// DELETE /webhooks/:id - Remove a subscription and its queued deliveries
+router.delete('/:id', async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid id',
+            details: 'Webhook ID must be a valid UUID'
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id',
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Webhook not found',
+                details: `No webhook subscription exists with id ${id}`
+            });
+        }
+
+        res.json({
+            status: 'ok',
+            message: 'Webhook subscription deleted'
+        });
+    } catch (err) {
+        console.error('Error deleting webhook subscription:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// GET /webhooks/:id/deliveries - Delivery log for a subscription, with attempts
+router.get('/:id/deliveries', async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: 'Invalid id',
+            details: 'Webhook ID must be a valid UUID'
+        });
+    }
+
+    if (status && !['pending', 'succeeded', 'failed'].includes(status)) {
+        return res.status(400).json({
+            error: 'Invalid status',
+            details: 'status must be one of: pending, succeeded, failed'
+        });
+    }
+
+    const pagination = parseLimitOffset(req.query);
+    if (pagination.error) {
+        return res.status(400).json({
+            error: 'Invalid pagination',
+            details: pagination.error
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT 
+                d.id,
+                d.event_id as "eventId",
+                d.event_type as "eventType",
+                d.status,
+                d.attempts,
+                d.next_attempt_at as "nextAttemptAt",
+                d.last_error as "lastError",
+                d.delivered_at as "deliveredAt",
+                d.created_at as "createdAt",
+                COALESCE(
+                    (SELECT json_agg(json_build_object(
+                        'attempt', a.attempt,
+                        'responseStatus', a.response_status,
+                        'error', a.error,
+                        'durationMs', a.duration_ms,
+                        'createdAt', a.created_at
+                    ) ORDER BY a.attempt)
+                    FROM webhook_delivery_attempts a WHERE a.delivery_id = d.id),
+                    '[]'::json
+                ) as "attemptLog"
+            FROM webhook_deliveries d
+            WHERE d.subscription_id = $1
+            AND ($2::text IS NULL OR d.status = $2)
+            ORDER BY d.created_at DESC, d.id
+            LIMIT $3 OFFSET $4`,
+            [id, status || null, pagination.limit, pagination.offset]
+        );
+
+        res.json({
+            data: result.rows,
+            pagination: {
+                limit: pagination.limit,
+                offset: pagination.offset
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching webhook deliveries:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+// POST /webhooks/deliveries/:deliveryId/retry - Requeue a failed delivery
+router.post('/deliveries/:deliveryId/retry', async (req, res) => {
+    const { deliveryId } = req.params;
+
+    if (!isValidUUID(deliveryId)) {
+        return res.status(400).json({
+            error: 'Invalid deliveryId',
+            details: 'deliveryId must be a valid UUID'
+        });
+    }
+
+    try {
+        // The attempt count is kept, so a failed delivery that has used up its attempts
+        // gets exactly one more before the worker marks it failed again
+        const result = await pool.query(
+            `UPDATE webhook_deliveries
+             SET status = 'pending', next_attempt_at = NOW()
+             WHERE id = $1 AND status = 'failed'
+             RETURNING id`,
+            [deliveryId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                details: 'No failed delivery exists with this id'
+            });
+        }
+
+        res.json({
+            status: 'ok',
+            message: 'Delivery requeued'
+        });
+    } catch (err) {
+        console.error('Error requeueing webhook delivery:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Creates a PostgreSQL condition that excludes users who have blocked, or been blocked by, the viewer
+ * @param {string} userColumn - Column holding the other user's id (e.g. 'u.id')
+ * @param {string} viewerParam - Placeholder holding the viewer's id (e.g. '$3')
+ * @returns {string} SQL condition for WHERE clause
+ */
+function createNotBlockedCondition(userColumn, viewerParam) {
+    return `
+        NOT EXISTS (
+            SELECT 1 FROM connections blk
+            WHERE blk.status = 'blocked'
+            AND (
+                (blk.from_user = ${userColumn} AND blk.to_user = ${viewerParam}) OR
+                (blk.from_user = ${viewerParam} AND blk.to_user = ${userColumn})
+            )
+        )
+    `;
+}
+
+/**
+ * Checks whether either user has blocked the other
+ * @param {object} client - pg client or pool
+ * @param {string} userId1 - First user
+ * @param {string} userId2 - Second user
+ * @returns {Promise<boolean>} True if a block exists in either direction
+ */
+async function isBlockedBetween(client, userId1, userId2) {
+    const result = await client.query(
+        `SELECT 1 FROM connections 
+         WHERE status = 'blocked'
+         AND ((from_user = $1 AND to_user = $2) OR (from_user = $2 AND to_user = $1))
+         LIMIT 1`,
+        [userId1, userId2]
+    );
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    createNotBlockedCondition,
+    isBlockedBetween
+};
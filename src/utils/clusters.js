@@ -0,0 +1,119 @@
+const clusterConfig = require('../config/clusters');
+
+/**
+ * Parses the zoom query parameter
+ * @param {string|undefined} zoom - Requested web map zoom level
+ * @returns {{zoom: number}|{error: string}} Zoom level or a validation error
+ */
+function resolveZoom(zoom) {
+    const value = Number(zoom);
+    if (zoom === undefined || zoom === '' || !Number.isInteger(value) || value < 0 || value > clusterConfig.maxZoom) {
+        return { error: `zoom must be an integer between 0 and ${clusterConfig.maxZoom}` };
+    }
+    return { zoom: value };
+}
+
+/**
+ * Returns the edge length of a grid cell at a zoom level. 360 is always a
+ * multiple of the cell size, so no cell straddles the antimeridian.
+ * @param {number} zoom - Web map zoom level
+ * @returns {number} Cell size in degrees
+ */
+function gridCellDegrees(zoom) {
+    return 360 / (2 ** zoom * clusterConfig.cellsPerTile);
+}
+
+/**
+ * Returns whether points at this zoom level are grouped into clusters
+ * @param {number} zoom - Web map zoom level
+ * @returns {boolean}
+ */
+function isClusteredZoom(zoom) {
+    return zoom < clusterConfig.pointsFromZoom;
+}
+
+/**
+ * Wraps a query for visible points into a grid clustering query. The inner
+ * query must select latitude, longitude, mood and category (mood and category may be NULL).
+ * @param {string} visibleQuery - SELECT statement for the points in the viewport
+ * @param {string} cellParam - Placeholder holding the cell size in degrees
+ * @param {string} limitParam - Placeholder holding the maximum number of clusters
+ * @returns {string} SQL returning cell_x, cell_y, count, latitude, longitude, moods, categories
+ */
+function createClusterQuery(visibleQuery, cellParam, limitParam) {
+    return `
+        WITH visible AS (
+            SELECT v.*,
+                   floor(v.longitude / ${cellParam}::float)::int AS cell_x,
+                   floor(v.latitude / ${cellParam}::float)::int AS cell_y
+            FROM (${visibleQuery}) v
+        ),
+        cells AS (
+            SELECT cell_x, cell_y, COUNT(*)::int AS count,
+                   AVG(latitude) AS latitude, AVG(longitude) AS longitude
+            FROM visible
+            GROUP BY cell_x, cell_y
+            ORDER BY count DESC, cell_x, cell_y
+            LIMIT ${limitParam}
+        ),
+        moods AS (
+            SELECT cell_x, cell_y, jsonb_object_agg(mood, n) AS moods
+            FROM (
+                SELECT cell_x, cell_y, mood, COUNT(*)::int AS n
+                FROM visible
+                WHERE mood IS NOT NULL
+                GROUP BY cell_x, cell_y, mood
+            ) m
+            GROUP BY cell_x, cell_y
+        ),
+        categories AS (
+            SELECT cell_x, cell_y, jsonb_object_agg(category, n) AS categories
+            FROM (
+                SELECT cell_x, cell_y, category, COUNT(*)::int AS n
+                FROM visible
+                WHERE category IS NOT NULL
+                GROUP BY cell_x, cell_y, category
+            ) c
+            GROUP BY cell_x, cell_y
+        )
+        SELECT c.cell_x, c.cell_y, c.count, c.latitude, c.longitude,
+               COALESCE(m.moods, '{}'::jsonb) AS moods,
+               COALESCE(k.categories, '{}'::jsonb) AS categories
+        FROM cells c
+        LEFT JOIN moods m USING (cell_x, cell_y)
+        LEFT JOIN categories k USING (cell_x, cell_y)
+        ORDER BY c.count DESC, c.cell_x, c.cell_y
+    `;
+}
+
+/**
+ * Converts a row from createClusterQuery into the API shape
+ * @param {object} row - Cluster row
+ * @param {number} zoom - Web map zoom level
+ * @returns {object} Cluster with its centroid, breakdowns and cell bounds
+ */
+function toCluster(row, zoom) {
+    const cellDegrees = gridCellDegrees(zoom);
+    return {
+        id: `${zoom}/${row.cell_x}/${row.cell_y}`,
+        count: row.count,
+        latitude: row.latitude,
+        longitude: row.longitude,
+        moods: row.moods,
+        categories: row.categories,
+        bounds: {
+            swLat: Math.max(row.cell_y * cellDegrees, -90),
+            swLng: row.cell_x * cellDegrees,
+            neLat: Math.min((row.cell_y + 1) * cellDegrees, 90),
+            neLng: (row.cell_x + 1) * cellDegrees
+        }
+    };
+}
+
+module.exports = {
+    resolveZoom,
+    gridCellDegrees,
+    isClusteredZoom,
+    createClusterQuery,
+    toCluster
+};
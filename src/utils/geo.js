@@ -1,19 +1,222 @@
 /**
- * Creates a PostgreSQL query condition for finding points within a radius
+ * Creates a PostgreSQL query condition for finding points within a radius.
+ * The earth_box test can use the GiST index on ll_to_earth(latitude, longitude);
+ * the earth_distance test then drops the box corners that fall outside the circle.
+ * @param {string} tableName - Table or alias holding latitude/longitude columns
+ * @param {object} [params] - SQL expressions for the center and radius
+ * @param {string} [params.lat] - Latitude of center point (default $1)
+ * @param {string} [params.lng] - Longitude of center point (default $2)
+ * @param {string} [params.radiusMeters] - Radius in meters (default $3 read as kilometers)
+ * @returns {string} SQL condition for WHERE clause
+ */
+function createNearbyCondition(tableName = 'locations', {
+    lat = '$1',
+    lng = '$2',
+    radiusMeters = '($3::float * 1000.0)'
+} = {}) {
+    return `
+        earth_box(ll_to_earth(${lat}, ${lng}), ${radiusMeters})
+            @> ll_to_earth(${tableName}.latitude, ${tableName}.longitude)
+        AND earth_distance(
+            ll_to_earth(${tableName}.latitude, ${tableName}.longitude),
+            ll_to_earth(${lat}, ${lng})
+        )::float <= ${radiusMeters}
+    `;
+}
+
+// Radius used by earthdistance's earth() function, so JS and SQL distances agree
+const EARTH_RADIUS_METERS = 6378168;
+
+/**
+ * Calculates the great-circle distance between two points
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lng1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lng2 - Longitude of second point
+ * @returns {number} Distance in meters
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const toRadians = (deg) => deg * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Returns the latitude/longitude box enclosing a circle. Circles reaching a pole
+ * span every longitude.
  * @param {number} lat - Latitude of center point
  * @param {number} lng - Longitude of center point
- * @param {number} radiusKm - Radius in kilometers
+ * @param {number} radiusMeters - Radius in meters
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}}
+ *   Box; minLng > maxLng when it crosses the antimeridian
+ */
+function circleBounds(lat, lng, radiusMeters) {
+    const dLat = (radiusMeters / EARTH_RADIUS_METERS) * 180 / Math.PI;
+    const minLat = lat - dLat;
+    const maxLat = lat + dLat;
+    if (minLat <= -90 || maxLat >= 90) {
+        return { minLat: Math.max(minLat, -90), minLng: -180, maxLat: Math.min(maxLat, 90), maxLng: 180 };
+    }
+
+    const dLng = dLat / Math.cos(lat * Math.PI / 180);
+    const wrap = (value) => ((value + 540) % 360) - 180;
+    return { minLat, minLng: wrap(lng - dLng), maxLat, maxLng: wrap(lng + dLng) };
+}
+
+/**
+ * Tests whether a point lies inside a polygon (ray casting on latitude/longitude).
+ * Intended for small shapes that do not cross the antimeridian.
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @param {Array<{lat: number, lng: number}>} polygon - Vertices in order
+ * @returns {boolean} True if the point is inside
+ */
+function pointInPolygon(lat, lng, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.lat > lat) !== (b.lat > lat) &&
+            lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Snaps a point to the center of its cell on a fixed latitude/longitude grid.
+ * Every point in a cell maps to the same result, so repeated calls reveal nothing
+ * more than the cell.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} gridDegrees - Cell size in degrees
+ * @returns {{lat: number, lng: number}} Cell center
+ */
+function snapToGrid(lat, lng, gridDegrees) {
+    const snap = (value, limit) => {
+        const center = (Math.floor(value / gridDegrees) + 0.5) * gridDegrees;
+        return Number(Math.min(Math.max(center, -limit), limit).toFixed(6));
+    };
+    return { lat: snap(lat, 90), lng: snap(lng, 180) };
+}
+
+/**
+ * Parses and validates a south-west/north-east bounding box. A box whose
+ * south-west longitude is east of its north-east longitude crosses the antimeridian.
+ * @param {object} query - Raw swLat, swLng, neLat and neLng values
+ * @returns {{swLat: number, swLng: number, neLat: number, neLng: number, crossesAntimeridian: boolean}|{error: object}}
+ *   Parsed box or validation details keyed by parameter
+ */
+function parseBoundingBox({ swLat, swLng, neLat, neLng }) {
+    const box = {
+        swLat: parseFloat(swLat),
+        swLng: parseFloat(swLng),
+        neLat: parseFloat(neLat),
+        neLng: parseFloat(neLng)
+    };
+
+    const details = {};
+    for (const key of Object.keys(box)) {
+        const isLat = key.endsWith('Lat');
+        const limit = isLat ? 90 : 180;
+        if (isNaN(box[key])) {
+            details[key] = 'Must be a number';
+        } else if (box[key] < -limit || box[key] > limit) {
+            details[key] = `Must be between -${limit} and ${limit}`;
+        }
+    }
+    if (Object.keys(details).length === 0 && box.swLat > box.neLat) {
+        details.swLat = 'Must not be north of neLat';
+    }
+    if (Object.keys(details).length > 0) {
+        return { error: details };
+    }
+
+    return { ...box, crossesAntimeridian: box.swLng > box.neLng };
+}
+
+/**
+ * Returns a circle that encloses a bounding box, for use as an index pre-filter.
+ * The farthest point of a latitude/longitude box from its center is always a corner.
+ * @param {object} box - Result of parseBoundingBox
+ * @returns {{lat: number, lng: number, radiusMeters: number}}
+ */
+function boundingCircle(box) {
+    const width = box.crossesAntimeridian ? box.neLng + 360 - box.swLng : box.neLng - box.swLng;
+    const lat = (box.swLat + box.neLat) / 2;
+    let lng = box.swLng + width / 2;
+    if (lng > 180) {
+        lng -= 360;
+    }
+
+    const corners = [
+        [box.swLat, box.swLng],
+        [box.swLat, box.neLng],
+        [box.neLat, box.swLng],
+        [box.neLat, box.neLng]
+    ];
+    // Pad by a meter so rounding never drops a point on the edge
+    const radiusMeters = Math.max(...corners.map(([cornerLat, cornerLng]) =>
+        distanceMeters(lat, lng, cornerLat, cornerLng))) + 1;
+
+    return { lat, lng, radiusMeters };
+}
+
+/**
+ * Returns the query parameter values expected by createWithinBoundsCondition, in order
+ * @param {object} box - Result of parseBoundingBox
+ * @returns {number[]} [swLat, swLng, neLat, neLng, centerLat, centerLng, radiusMeters]
+ */
+function boundingBoxParams(box) {
+    const circle = boundingCircle(box);
+    return [box.swLat, box.swLng, box.neLat, box.neLng, circle.lat, circle.lng, circle.radiusMeters];
+}
+
+/**
+ * Creates a PostgreSQL query condition for finding points inside a bounding box.
+ * An earth_box around the enclosing circle lets the GiST index on
+ * ll_to_earth(latitude, longitude) narrow the rows before the exact box test.
+ * @param {string} tableName - Table or alias holding latitude/longitude columns
+ * @param {object} box - Result of parseBoundingBox (only crossesAntimeridian is read)
+ * @param {number} [firstParam] - Placeholder number of the first boundingBoxParams value
+ * @param {object} [position] - Point tested against the box, when it differs from the stored columns
+ * @param {string} [position.latitude] - SQL expression (default tableName.latitude)
+ * @param {string} [position.longitude] - SQL expression (default tableName.longitude)
+ * @param {number} [position.paddingMeters] - How far the tested point may be from the stored one
  * @returns {string} SQL condition for WHERE clause
  */
-function createNearbyCondition(tableName = 'locations') {
+function createWithinBoundsCondition(tableName, box, firstParam = 1, {
+    latitude = `${tableName}.latitude`,
+    longitude = `${tableName}.longitude`,
+    paddingMeters = 0
+} = {}) {
+    const [swLat, swLng, neLat, neLng, centerLat, centerLng, radiusMeters] =
+        Array.from({ length: 7 }, (_, i) => `$${firstParam + i}::float`);
+
+    // Across the antimeridian the box is two longitude ranges: [swLng, 180] and [-180, neLng]
+    const longitudeCondition = box.crossesAntimeridian
+        ? `(${longitude} >= ${swLng} OR ${longitude} <= ${neLng})`
+        : `${longitude} BETWEEN ${swLng} AND ${neLng}`;
+
     return `
-        earth_distance(
-            ll_to_earth(${tableName}.latitude, ${tableName}.longitude),
-            ll_to_earth($1, $2)
-        )::float <= ($3::float * 1000.0)
+        earth_box(ll_to_earth(${centerLat}, ${centerLng}), ${radiusMeters} + ${paddingMeters})
+            @> ll_to_earth(${tableName}.latitude, ${tableName}.longitude)
+        AND ${latitude} BETWEEN ${swLat} AND ${neLat}
+        AND ${longitudeCondition}
     `;
 }
 
 module.exports = {
-    createNearbyCondition
+    createNearbyCondition,
+    createWithinBoundsCondition,
+    parseBoundingBox,
+    boundingBoxParams,
+    circleBounds,
+    pointInPolygon,
+    snapToGrid,
+    distanceMeters
 }; 
\ No newline at end of file
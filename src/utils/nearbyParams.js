@@ -0,0 +1,137 @@
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
+/**
+ * Resolves the radius query parameter against configured bounds
+ * @param {string|undefined} radius - Requested radius in kilometers
+ * @param {{default: number, min: number, max: number}} bounds - Radius bounds in kilometers
+ * @returns {{radiusKm: number}|{error: string}} Effective radius or a validation error
+ */
+function resolveRadius(radius, bounds) {
+    if (radius === undefined || radius === '') {
+        return { radiusKm: bounds.default };
+    }
+
+    const radiusKm = parseFloat(radius);
+    if (isNaN(radiusKm) || radiusKm <= 0) {
+        return { error: 'radius must be a number greater than 0 (kilometers)' };
+    }
+
+    return { radiusKm: clamp(radiusKm, bounds) };
+}
+
+/**
+ * Resolves the since/maxAge query parameters against configured bounds.
+ * since takes precedence over maxAge.
+ * @param {{since?: string, maxAge?: string}} query - Requested window
+ * @param {{default: number, min: number, max: number}} bounds - Window bounds in minutes
+ * @param {Date} [now] - Current time
+ * @returns {{maxAgeMinutes: number, since: Date}|{error: string}} Effective window or a validation error
+ */
+function resolveTimeWindow({ since, maxAge }, bounds, now = new Date()) {
+    let maxAgeMinutes = bounds.default;
+
+    if (since !== undefined && since !== '') {
+        const sinceDate = new Date(since);
+        if (isNaN(sinceDate.getTime())) {
+            return { error: 'since must be an ISO 8601 timestamp' };
+        }
+        maxAgeMinutes = (now - sinceDate) / (60 * 1000);
+    } else if (maxAge !== undefined && maxAge !== '') {
+        maxAgeMinutes = parseFloat(maxAge);
+        if (isNaN(maxAgeMinutes)) {
+            return { error: 'maxAge must be a number of minutes' };
+        }
+    }
+
+    maxAgeMinutes = clamp(maxAgeMinutes, bounds);
+
+    return {
+        maxAgeMinutes,
+        since: new Date(now.getTime() - maxAgeMinutes * 60 * 1000)
+    };
+}
+
+/**
+ * Like resolveTimeWindow, but only when the client asked for a window. Without
+ * one, pings are limited by their own expiry alone.
+ * @param {{since?: string|null, maxAge?: string}} query - Requested window
+ * @param {{default: number, min: number, max: number}} bounds - Window bounds in minutes
+ * @param {Date} [now] - Current time
+ * @returns {{maxAgeMinutes: number|null, since: Date|null}|{error: string}} Effective window,
+ *   nulls when none was requested, or a validation error
+ */
+function resolveOptionalTimeWindow({ since, maxAge }, bounds, now = new Date()) {
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+    if (!isSet(since) && !isSet(maxAge)) {
+        return { maxAgeMinutes: null, since: null };
+    }
+    return resolveTimeWindow({ since: isSet(since) ? since : undefined, maxAge }, bounds, now);
+}
+
+/**
+ * Restores the time window pinned in a pagination cursor. The since is reused
+ * exactly, without clamping to the window bounds: those are measured from the
+ * current time and would move the window between pages of a slow scroll.
+ * @param {string|null} since - since stored in the cursor, null when no window was requested
+ * @param {Date} [now] - Current time
+ * @returns {{maxAgeMinutes: number|null, since: Date|null}} The first page's window
+ */
+function resolveCursorTimeWindow(since, now = new Date()) {
+    if (since === null || since === undefined) {
+        return { maxAgeMinutes: null, since: null };
+    }
+    const sinceDate = new Date(since);
+    return {
+        maxAgeMinutes: (now - sinceDate) / (60 * 1000),
+        since: sinceDate
+    };
+}
+
+/**
+ * Resolves a ping's requested expiresAt or durationMinutes against configured
+ * bounds. The duration is counted from the ping's creation, so editing a ping
+ * can never keep it alive past the maximum.
+ * @param {{expiresAt?: string, durationMinutes?: number}} requested - At most one may be set
+ * @param {{default: number, min: number, max: number}} bounds - Duration bounds in minutes
+ * @param {Date} createdAt - When the ping was (or is being) created
+ * @param {Date} [now] - Current time
+ * @returns {{durationMinutes: number, expiresAt: Date}|{error: string}} Effective expiry or a validation error
+ */
+function resolvePingExpiry({ expiresAt, durationMinutes }, bounds, createdAt, now = new Date()) {
+    if (expiresAt !== undefined && durationMinutes !== undefined) {
+        return { error: 'Provide either expiresAt or durationMinutes, not both' };
+    }
+
+    let minutes = bounds.default;
+
+    if (expiresAt !== undefined) {
+        const expiresAtDate = new Date(expiresAt);
+        if (typeof expiresAt !== 'string' || isNaN(expiresAtDate.getTime())) {
+            return { error: 'expiresAt must be an ISO 8601 timestamp' };
+        }
+        if (expiresAtDate <= now) {
+            return { error: 'expiresAt must be in the future' };
+        }
+        minutes = (expiresAtDate - createdAt) / (60 * 1000);
+    } else if (durationMinutes !== undefined) {
+        minutes = typeof durationMinutes === 'number' ? durationMinutes : NaN;
+        if (isNaN(minutes) || minutes <= 0) {
+            return { error: 'durationMinutes must be a number greater than 0' };
+        }
+    }
+
+    minutes = clamp(minutes, bounds);
+
+    return {
+        durationMinutes: minutes,
+        expiresAt: new Date(createdAt.getTime() + minutes * 60 * 1000)
+    };
+}
+
+module.exports = {
+    resolveRadius,
+    resolveTimeWindow,
+    resolveOptionalTimeWindow,
+    resolveCursorTimeWindow,
+    resolvePingExpiry
+};
@@ -0,0 +1,155 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parses limit/offset query parameters
+ * @param {object} query - req.query
+ * @param {{defaultLimit?: number, maxLimit?: number}} [options] - Limit bounds
+ * @returns {{limit: number, offset: number}|{error: string}} Parsed values or a validation error
+ */
+function parseLimitOffset(query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+    const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+
+    if (isNaN(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `limit must be an integer between 1 and ${maxLimit}` };
+    }
+
+    if (isNaN(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+
+    return { limit, offset };
+}
+
+/**
+ * Encodes sort-key values into an opaque cursor
+ * @param {object} values - Sort-key values of the last row on a page
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// Cursor values are spliced into SQL casts (::float, ::timestamptz, ::uuid), so a
+// tampered cursor must be rejected here instead of failing in the database
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_REGEX = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+// Helper function to check a timestamp as produced by timestamptz::text or Date#toISOString
+const isTimestamp = (value) => {
+    const match = typeof value === 'string' && TIMESTAMP_REGEX.exec(value);
+    if (!match) {
+        return false;
+    }
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        && hour < 24 && minute < 60 && second < 60;
+};
+
+const CURSOR_VALUE_CHECKS = {
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    string: (value) => typeof value === 'string',
+    timestamp: isTimestamp,
+    uuid: (value) => typeof value === 'string' && UUID_REGEX.test(value)
+};
+
+/**
+ * Checks a cursor value against a schema type
+ * @param {*} value - Decoded cursor value
+ * @param {string} type - One of number, string, timestamp or uuid; a trailing '?' also allows null
+ * @returns {boolean} True if the value has the type
+ */
+function isCursorValue(value, type) {
+    const nullable = type.endsWith('?');
+    const check = CURSOR_VALUE_CHECKS[nullable ? type.slice(0, -1) : type];
+    if (!check) {
+        throw new Error(`Unknown cursor value type: ${type}`);
+    }
+    return (nullable && value === null) || check(value);
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Object<string, string>} schema - Keys the cursor must contain, mapped to their value type
+ * @returns {object|null} Decoded values, or null if the cursor is malformed
+ */
+function decodeCursor(cursor, schema) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return null;
+    }
+    const keys = Object.keys(schema);
+    if (!keys.every(key => Object.prototype.hasOwnProperty.call(values, key) && isCursorValue(values[key], schema[key]))) {
+        return null;
+    }
+    return values;
+}
+
+/**
+ * Parses limit/cursor query parameters
+ * @param {object} query - req.query
+ * @param {Object<string, string>} schema - Keys the cursor must contain, mapped to their value
+ *   type (number, string, timestamp or uuid; a trailing '?' also allows null),
+ *   e.g. { createdAt: 'timestamp', id: 'uuid' }
+ * @param {{defaultLimit?: number, maxLimit?: number}} [options] - Limit bounds
+ * @returns {{limit: number, cursor: object|null}|{error: string}} Parsed values or a validation error
+ */
+function parseCursorPagination(query, schema, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+    const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+
+    if (isNaN(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `limit must be an integer between 1 and ${maxLimit}` };
+    }
+
+    if (query.cursor === undefined || query.cursor === '') {
+        return { limit, cursor: null };
+    }
+
+    const cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor, schema) : null;
+    if (!cursor) {
+        return { error: 'cursor is invalid' };
+    }
+
+    return { limit, cursor };
+}
+
+/**
+ * Trims a result fetched with LIMIT limit + 1 to one page and builds the next cursor
+ * @param {Array<object>} rows - Rows in sort order, at most limit + 1
+ * @param {number} limit - Page size
+ * @param {function(object): object} toCursor - Extracts sort-key values from a row
+ * @returns {{rows: Array<object>, nextCursor: string|null}} Page rows and cursor for the next page
+ */
+function buildCursorPage(rows, limit, toCursor) {
+    if (rows.length <= limit) {
+        return { rows, nextCursor: null };
+    }
+    const page = rows.slice(0, limit);
+    return { rows: page, nextCursor: encodeCursor(toCursor(page[page.length - 1])) };
+}
+
+/**
+ * Escapes LIKE/ILIKE wildcards in user input and wraps it for a contains match
+ * @param {string} term - Raw search term
+ * @returns {string} Pattern for ILIKE
+ */
+function toContainsPattern(term) {
+    return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+module.exports = {
+    parseLimitOffset,
+    parseCursorPagination,
+    buildCursorPage,
+    encodeCursor,
+    toContainsPattern
+};
@@ -0,0 +1,37 @@
+// Users count as online when seen within this window (heartbeat or presence stream)
+// and they have not disconnected since
+const ONLINE_WINDOW_MS = 3 * 60 * 1000;
+
+/**
+ * Creates a PostgreSQL condition that is true when a user_status row is online
+ * @param {string} alias - Alias of the user_status table
+ * @returns {string} SQL condition for WHERE clause or SELECT list
+ */
+function createOnlineCondition(alias = 'us') {
+    return `(
+        ${alias}.last_seen > NOW() - INTERVAL '${ONLINE_WINDOW_MS / 1000} seconds'
+        AND (${alias}.disconnected_at IS NULL OR ${alias}.disconnected_at < ${alias}.last_seen)
+    )`;
+}
+
+/**
+ * Checks whether a user_status row is online
+ * @param {{last_seen: Date, disconnected_at: Date|null}} status - user_status row
+ * @returns {boolean} True if online
+ */
+function isOnline(status) {
+    if (!status || !status.last_seen) {
+        return false;
+    }
+    const lastSeen = new Date(status.last_seen);
+    if (status.disconnected_at && new Date(status.disconnected_at) >= lastSeen) {
+        return false;
+    }
+    return new Date() - lastSeen <= ONLINE_WINDOW_MS;
+}
+
+module.exports = {
+    ONLINE_WINDOW_MS,
+    createOnlineCondition,
+    isOnline
+};
@@ -0,0 +1,173 @@
+const { circleBounds, pointInPolygon, distanceMeters } = require('../utils/geo');
+
+const VENUE_VISIBILITIES = ['public', 'connections', 'private'];
+
+// Limits that keep venues to the scale of a campus or conference site
+const MAX_RADIUS_METERS = 50000;
+const MAX_POLYGON_POINTS = 200;
+
+const isCoordinate = (lat, lng) =>
+    typeof lat === 'number' && typeof lng === 'number' &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+/**
+ * Validates a venue shape from a request body
+ * @param {object} shape - { type: 'circle', center: {lat, lng}, radiusMeters }
+ *   or { type: 'polygon', points: [{lat, lng}, ...] }
+ * @returns {{shape: object, bounds: object}|{error: string}} Normalized shape and its
+ *   bounding box, or a validation error
+ */
+function parseVenueShape(shape) {
+    if (!shape || typeof shape !== 'object') {
+        return { error: 'shape is required' };
+    }
+
+    let bounds;
+    let normalized;
+    if (shape.type === 'circle') {
+        const { center, radiusMeters } = shape;
+        if (!center || !isCoordinate(center.lat, center.lng)) {
+            return { error: 'shape.center must have a numeric lat (-90 to 90) and lng (-180 to 180)' };
+        }
+        if (typeof radiusMeters !== 'number' || radiusMeters <= 0 || radiusMeters > MAX_RADIUS_METERS) {
+            return { error: `shape.radiusMeters must be a number between 0 and ${MAX_RADIUS_METERS}` };
+        }
+        normalized = { type: 'circle', center: { lat: center.lat, lng: center.lng }, radiusMeters };
+        bounds = circleBounds(center.lat, center.lng, radiusMeters);
+    } else if (shape.type === 'polygon') {
+        const { points } = shape;
+        if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+            return { error: `shape.points must be an array of 3 to ${MAX_POLYGON_POINTS} points` };
+        }
+        if (!points.every(point => point && isCoordinate(point.lat, point.lng))) {
+            return { error: 'Each point must have a numeric lat (-90 to 90) and lng (-180 to 180)' };
+        }
+        normalized = { type: 'polygon', points: points.map(({ lat, lng }) => ({ lat, lng })) };
+        bounds = {
+            minLat: Math.min(...points.map(point => point.lat)),
+            minLng: Math.min(...points.map(point => point.lng)),
+            maxLat: Math.max(...points.map(point => point.lat)),
+            maxLng: Math.max(...points.map(point => point.lng))
+        };
+        // A polygon this wide is almost certainly meant to wrap the other way round the globe
+        if (bounds.maxLng - bounds.minLng > 180) {
+            return { error: 'Venues must not cross the antimeridian' };
+        }
+    } else {
+        return { error: "shape.type must be 'circle' or 'polygon'" };
+    }
+
+    if (bounds.minLng > bounds.maxLng) {
+        return { error: 'Venues must not cross the antimeridian' };
+    }
+
+    return { shape: normalized, bounds };
+}
+
+/**
+ * Tests whether a venue row contains a point
+ * @param {object} venue - venues row
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @returns {boolean} True if the point is inside the venue
+ */
+function venueContains(venue, lat, lng) {
+    if (venue.shape_type === 'circle') {
+        return distanceMeters(venue.center_latitude, venue.center_longitude, lat, lng) <= venue.radius_meters;
+    }
+    return pointInPolygon(lat, lng, venue.polygon);
+}
+
+/**
+ * Creates a SQL condition matching venues the viewer may see: public venues,
+ * their own venues, and connections-only venues of users they are connected to
+ * @param {string} alias - venues table alias
+ * @param {string} viewerParam - Placeholder holding the viewer's user id
+ * @returns {string} SQL condition for WHERE clause
+ */
+function createVisibleVenueCondition(alias, viewerParam) {
+    return `(
+        ${alias}.visibility = 'public'
+        OR ${alias}.owner_user_id = ${viewerParam}
+        OR (
+            ${alias}.visibility = 'connections'
+            AND EXISTS (
+                SELECT 1 FROM connections vc
+                WHERE vc.status = 'connected'
+                AND (
+                    (vc.from_user = ${alias}.owner_user_id AND vc.to_user = ${viewerParam})
+                    OR (vc.to_user = ${alias}.owner_user_id AND vc.from_user = ${viewerParam})
+                )
+            )
+        )
+    )`;
+}
+
+/**
+ * Creates a SQL condition matching venues whose schedule includes the current time
+ * @param {string} alias - venues table alias
+ * @returns {string} SQL condition for WHERE clause
+ */
+function createActiveVenueCondition(alias) {
+    return `(${alias}.starts_at IS NULL OR ${alias}.starts_at <= NOW())
+        AND (${alias}.ends_at IS NULL OR ${alias}.ends_at > NOW())`;
+}
+
+/**
+ * Finds the active venues visible to a user that contain a point
+ * @param {object} client - pg client or pool
+ * @param {string} viewerId - Viewing user
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @returns {Promise<Array<object>>} Matching venues rows, smallest first
+ */
+async function findVenuesContaining(client, viewerId, lat, lng) {
+    const result = await client.query(
+        `SELECT v.*
+         FROM venues v
+         WHERE v.min_latitude <= $1 AND v.max_latitude >= $1
+         AND v.min_longitude <= $2 AND v.max_longitude >= $2
+         AND ${createActiveVenueCondition('v')}
+         AND ${createVisibleVenueCondition('v', '$3')}
+         ORDER BY (v.max_latitude - v.min_latitude) * (v.max_longitude - v.min_longitude) ASC, v.id ASC`,
+        [lat, lng, viewerId]
+    );
+
+    return result.rows.filter(venue => venueContains(venue, lat, lng));
+}
+
+/**
+ * Converts a venues row into the API shape
+ * @param {object} row - venues row
+ * @returns {object} Venue
+ */
+function toVenue(row) {
+    return {
+        id: row.id,
+        ownerUserId: row.owner_user_id,
+        name: row.name,
+        description: row.description,
+        shape: row.shape_type === 'circle'
+            ? {
+                type: 'circle',
+                center: { lat: row.center_latitude, lng: row.center_longitude },
+                radiusMeters: row.radius_meters
+            }
+            : { type: 'polygon', points: row.polygon },
+        visibility: row.visibility,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+module.exports = {
+    VENUE_VISIBILITIES,
+    parseVenueShape,
+    venueContains,
+    createVisibleVenueCondition,
+    createActiveVenueCondition,
+    findVenuesContaining,
+    toVenue
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Event types that can be subscribed to
+const WEBHOOK_EVENT_TYPES = [
+    'ping.created',
+    'connection.created',
+    'validation.approved'
+];
+
+/**
+ * Queues an event for every active subscription that wants it. Pass the
+ * transaction client so the event is only delivered if the change commits.
+ * @param {object} client - pg client or pool
+ * @param {string} type - One of WEBHOOK_EVENT_TYPES
+ * @param {object} data - Event payload
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function enqueueWebhookEvent(client, type, data) {
+    if (!WEBHOOK_EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown webhook event type: ${type}`);
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+        id: eventId,
+        type,
+        createdAt: new Date().toISOString(),
+        data
+    };
+
+    const result = await client.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+         SELECT id, $1, $2, $3
+         FROM webhook_subscriptions
+         WHERE is_active = true AND $2 = ANY(event_types)`,
+        [eventId, type, JSON.stringify(payload)]
+    );
+
+    return result.rowCount;
+}
+
+/**
+ * Signs a webhook body. Receivers recompute HMAC-SHA256 over "<timestamp>.<body>"
+ * with their secret and compare it to v1.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Value for the X-Reign-Signature header
+ */
+function signPayload(secret, timestamp, body) {
+    const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    enqueueWebhookEvent,
+    signPayload
+};
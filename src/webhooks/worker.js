@@ -0,0 +1,164 @@
+const { pool } = require('../config/db');
+const { signPayload } = require('./index');
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = 20;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is retried after this long if the process dies mid-batch. The lease
+// outlasts a batch of timed-out requests so a live worker never loses its claim.
+const CLAIM_LEASE_SECONDS = BATCH_SIZE * REQUEST_TIMEOUT_MS / 1000 + 60;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 10;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+let pollTimer = null;
+let running = false;
+
+// Delay before the next attempt: 30s, 60s, 120s, ... capped at 6 hours
+const backoffSeconds = (attempts) => Math.min(BASE_BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+
+// Claim due deliveries by pushing next_attempt_at forward; SKIP LOCKED lets several instances share the queue
+const claimDueDeliveries = async () => {
+    const result = await pool.query(
+        `UPDATE webhook_deliveries d
+         SET next_attempt_at = NOW() + make_interval(secs => $2)
+         FROM webhook_subscriptions s
+         WHERE d.id IN (
+             SELECT dd.id FROM webhook_deliveries dd
+             JOIN webhook_subscriptions ss ON ss.id = dd.subscription_id
+             WHERE dd.status = 'pending'
+             AND dd.next_attempt_at <= NOW()
+             AND ss.is_active = true
+             ORDER BY dd.next_attempt_at
+             LIMIT $1
+             FOR UPDATE OF dd SKIP LOCKED
+         )
+         AND s.id = d.subscription_id
+         RETURNING d.id, d.event_id, d.event_type, d.payload, d.attempts, s.url, s.secret`,
+        [BATCH_SIZE, CLAIM_LEASE_SECONDS]
+    );
+    return result.rows;
+};
+
+// Helper function to POST one delivery and record the outcome
+const attemptDelivery = async (delivery) => {
+    const attempt = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'reign-webhooks/1.0',
+                'X-Reign-Event': delivery.event_type,
+                'X-Reign-Delivery': delivery.id,
+                'X-Reign-Signature': signPayload(delivery.secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+            error = `Endpoint responded with ${response.status}`;
+        }
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? 'Request timed out' : err.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+
+    // Only record the outcome while this claim still holds the row. If the lease ran out and
+    // another worker already recorded its attempt, attempts has moved on and this result is dropped.
+    let outcome;
+    if (!error) {
+        outcome = await pool.query(
+            `UPDATE webhook_deliveries 
+             SET status = 'succeeded', attempts = $2, delivered_at = NOW(), last_error = NULL
+             WHERE id = $1 AND status = 'pending' AND attempts = $3`,
+            [delivery.id, attempt, delivery.attempts]
+        );
+    } else if (attempt >= MAX_ATTEMPTS) {
+        outcome = await pool.query(
+            `UPDATE webhook_deliveries 
+             SET status = 'failed', attempts = $2, last_error = $3
+             WHERE id = $1 AND status = 'pending' AND attempts = $4`,
+            [delivery.id, attempt, error, delivery.attempts]
+        );
+    } else {
+        outcome = await pool.query(
+            `UPDATE webhook_deliveries 
+             SET attempts = $2, last_error = $3,
+                 next_attempt_at = NOW() + make_interval(secs => $4)
+             WHERE id = $1 AND status = 'pending' AND attempts = $5`,
+            [delivery.id, attempt, error, backoffSeconds(attempt), delivery.attempts]
+        );
+    }
+
+    if (outcome.rowCount === 0) {
+        return;
+    }
+
+    await pool.query(
+        `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, response_status, error, duration_ms)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [delivery.id, attempt, responseStatus, error, durationMs]
+    );
+};
+
+/**
+ * Delivers every due webhook, one batch at a time
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function processDueDeliveries() {
+    let processed = 0;
+    let batch;
+    do {
+        batch = await claimDueDeliveries();
+        for (const delivery of batch) {
+            await attemptDelivery(delivery);
+        }
+        processed += batch.length;
+    } while (batch.length === BATCH_SIZE);
+    return processed;
+}
+
+const poll = async () => {
+    if (running) {
+        return;
+    }
+    running = true;
+    try {
+        await processDueDeliveries();
+    } catch (err) {
+        console.error('Error processing webhook deliveries:', err);
+    } finally {
+        running = false;
+    }
+};
+
+function startWebhookWorker() {
+    if (!pollTimer) {
+        pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+        pollTimer.unref();
+        console.log('Webhook delivery worker started');
+    }
+}
+
+function stopWebhookWorker() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+module.exports = {
+    startWebhookWorker,
+    stopWebhookWorker,
+    processDueDeliveries
+};
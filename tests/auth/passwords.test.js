@@ -0,0 +1,40 @@
+const { hashPassword, verifyPassword, validatePassword } = require('../../src/auth/passwords');
+
+describe('hashPassword and verifyPassword', () => {
+    test('accepts the password a hash was made from', async () => {
+        const hash = await hashPassword('correct horse');
+        expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        await expect(verifyPassword('correct horse', hash)).resolves.toBe(true);
+    });
+
+    test('rejects a different password', async () => {
+        const hash = await hashPassword('correct horse');
+        await expect(verifyPassword('battery staple', hash)).resolves.toBe(false);
+    });
+
+    test('salts every hash', async () => {
+        const [first, second] = await Promise.all([hashPassword('same'), hashPassword('same')]);
+        expect(first).not.toBe(second);
+    });
+
+    test.each([
+        ['missing', null],
+        ['empty', ''],
+        ['of another scheme', 'bcrypt$abc$def'],
+        ['incomplete', 'scrypt$abc']
+    ])('rejects a hash that is %s', async (label, storedHash) => {
+        await expect(verifyPassword('anything', storedHash)).resolves.toBe(false);
+    });
+});
+
+describe('validatePassword', () => {
+    test('requires a string', () => {
+        expect(validatePassword(undefined).valid).toBe(false);
+        expect(validatePassword(12345678).valid).toBe(false);
+    });
+
+    test('requires at least 8 characters', () => {
+        expect(validatePassword('1234567')).toEqual({ valid: false, error: 'Password must be at least 8 characters' });
+        expect(validatePassword('12345678')).toEqual({ valid: true });
+    });
+});
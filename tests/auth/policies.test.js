@@ -0,0 +1,77 @@
+const { can, denialReason } = require('../../src/auth/policies');
+
+const alice = { id: 'alice' };
+const bob = { id: 'bob' };
+
+// Each rule with a resource the user is allowed to act on and one they are not
+const cases = [
+    ['profile:update', { id: 'alice' }, { id: 'bob' }],
+    ['connections:read', { id: 'alice' }, { id: 'bob' }],
+    ['connections:read-mutual', { user_ids: ['bob', 'alice'] }, { user_ids: ['bob', 'carol'] }],
+    ['connection:respond', { from_user: 'bob', to_user: 'alice' }, { from_user: 'alice', to_user: 'bob' }],
+    ['connection:cancel', { from_user: 'alice', to_user: 'bob' }, { from_user: 'bob', to_user: 'alice' }],
+    ['validation:respond', { from_user_id: 'bob', to_user_id: 'alice' }, { from_user_id: 'alice', to_user_id: 'bob' }],
+    ['validation:read-pending', { id: 'alice' }, { id: 'bob' }],
+    ['notification:update', { user_id: 'alice' }, { user_id: 'bob' }],
+    ['location-history:read', { id: 'alice' }, { id: 'bob' }],
+    ['encounters:read', { id: 'alice' }, { id: 'bob' }],
+    ['venue:update', { owner_user_id: 'alice' }, { owner_user_id: 'bob' }],
+    ['ping:update', { user_id: 'alice' }, { user_id: 'bob' }],
+    ['ping-reactions:read', { user_id: 'alice' }, { user_id: 'bob' }],
+    ['ping-stream:update', { userId: 'alice' }, { userId: 'bob' }]
+];
+
+describe('can', () => {
+    describe.each(cases)('%s', (action, allowed, denied) => {
+        test('allows the user the resource belongs to', () => {
+            expect(can(alice, action, allowed)).toBe(true);
+        });
+
+        test('denies anyone else', () => {
+            expect(can(alice, action, denied)).toBe(false);
+        });
+
+        test('denies unauthenticated requests', () => {
+            expect(can(undefined, action, allowed)).toBe(false);
+        });
+
+        test('denies when there is no resource', () => {
+            expect(can(alice, action, undefined)).toBe(false);
+        });
+    });
+
+    test('only the recipient may respond to a validation request, not the requester', () => {
+        const request = { from_user_id: 'alice', to_user_id: 'bob' };
+        expect(can(bob, 'validation:respond', request)).toBe(true);
+        expect(can(alice, 'validation:respond', request)).toBe(false);
+    });
+
+    test('only the owner may edit a profile', () => {
+        expect(can(bob, 'profile:update', { id: 'bob' })).toBe(true);
+        expect(can(bob, 'profile:update', { id: 'alice' })).toBe(false);
+    });
+
+    test("only a participant may read a user's connections", () => {
+        expect(can(alice, 'connections:read', { id: 'alice' })).toBe(true);
+        expect(can(bob, 'connections:read', { id: 'alice' })).toBe(false);
+    });
+
+    test('throws for an unknown action', () => {
+        expect(() => can(alice, 'profile:delete', { id: 'alice' })).toThrow('Unknown authorization action: profile:delete');
+    });
+});
+
+describe('denialReason', () => {
+    test.each(cases)('has a reason for %s', (action) => {
+        expect(denialReason(action)).toEqual(expect.any(String));
+        expect(denialReason(action)).not.toBe('You are not allowed to perform this action');
+    });
+
+    test('names who may act', () => {
+        expect(denialReason('validation:respond')).toBe('Only the recipient may respond to this validation request');
+    });
+
+    test('falls back to a generic reason for an unknown action', () => {
+        expect(denialReason('profile:delete')).toBe('You are not allowed to perform this action');
+    });
+});
@@ -0,0 +1,89 @@
+const {
+    LOCATION_PRECISIONS,
+    publicPositionSql,
+    createPublicCoordinateColumns,
+    createPublicNearbyCondition,
+    createPublicWithinBoundsCondition,
+    publicPosition,
+    publicCoordinates,
+    publicDisplayName
+} = require('../../src/privacy');
+const { parseBoundingBox } = require('../../src/utils/geo');
+
+const [LAT, LNG] = [52.5201, 13.4049];
+const CELL_CENTER = { latitude: 52.5225, longitude: 13.4025 };
+
+describe('publicPosition', () => {
+    test('returns the true position for exact precision', () => {
+        expect(publicPosition('exact', LAT, LNG)).toEqual({ latitude: LAT, longitude: LNG });
+    });
+
+    test.each([['neighborhood'], ['distance']])('snaps to the grid cell center for %s precision', (precision) => {
+        expect(publicPosition(precision, LAT, LNG)).toEqual(CELL_CENTER);
+    });
+
+    test('gives every point in a cell the same position, so repeated queries reveal nothing finer', () => {
+        for (const [lat, lng] of [[52.52, 13.4], [52.5249, 13.4049], [52.5213, 13.4031]]) {
+            expect(publicPosition('neighborhood', lat, lng)).toEqual(CELL_CENTER);
+        }
+    });
+});
+
+describe('publicCoordinates', () => {
+    test('labels exact coordinates', () => {
+        expect(publicCoordinates('exact', LAT, LNG)).toEqual({ latitude: LAT, longitude: LNG, locationPrecision: 'exact' });
+    });
+
+    test('returns the cell center for neighborhood precision', () => {
+        expect(publicCoordinates('neighborhood', LAT, LNG)).toEqual({ ...CELL_CENTER, locationPrecision: 'neighborhood' });
+    });
+
+    test('hides coordinates for distance precision', () => {
+        expect(publicCoordinates('distance', LAT, LNG)).toEqual({ latitude: null, longitude: null, locationPrecision: 'distance' });
+    });
+
+    test('handles every precision', () => {
+        for (const precision of LOCATION_PRECISIONS) {
+            expect(publicCoordinates(precision, LAT, LNG).locationPrecision).toBe(precision);
+        }
+    });
+});
+
+describe('publicDisplayName', () => {
+    test('uses the name', () => {
+        expect(publicDisplayName('Ada')).toBe('Ada');
+    });
+
+    test.each([[null], ['']])('falls back to Anonymous for %p instead of the email', (name) => {
+        expect(publicDisplayName(name)).toBe('Anonymous');
+    });
+});
+
+describe('SQL helpers', () => {
+    test('snap on the same grid as publicPosition', () => {
+        const { latitude, longitude } = publicPositionSql('p');
+        expect(latitude).toContain("WHEN COALESCE(lps.location_precision, 'exact') = 'exact' THEN p.latitude");
+        expect(latitude).toContain('floor(p.latitude / 0.005::float) + 0.5');
+        expect(latitude).toContain(', -90), 90)');
+        expect(longitude).toContain('floor(p.longitude / 0.005::float) + 0.5');
+        expect(longitude).toContain(', -180), 180)');
+    });
+
+    test('null out coordinates for distance precision', () => {
+        const sql = createPublicCoordinateColumns('p');
+        expect(sql).toContain("CASE WHEN COALESCE(lps.location_precision, 'exact') = 'distance' THEN NULL ELSE");
+        expect(sql).toContain('as "locationPrecision"');
+    });
+
+    test('widen the radius pre-filter by the fuzz padding and test the public position against the real radius', () => {
+        const sql = createPublicNearbyCondition('p', { lat: '$1', lng: '$2', radiusMeters: '$4::float' });
+        expect(sql).toContain('earth_box(ll_to_earth($1, $2), ($4::float + 557))');
+        expect(sql).toMatch(/\)::float <= \$4::float\s*$/);
+    });
+
+    test('leave distance-only users off the map', () => {
+        const sql = createPublicWithinBoundsCondition('p', parseBoundingBox({ swLat: 0, swLng: 0, neLat: 1, neLng: 1 }), 8);
+        expect(sql).toContain("COALESCE(lps.location_precision, 'exact') != 'distance'");
+        expect(sql).toContain('$14::float + 557');
+    });
+});
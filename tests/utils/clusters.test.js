@@ -0,0 +1,99 @@
+const {
+    resolveZoom,
+    gridCellDegrees,
+    isClusteredZoom,
+    createClusterQuery,
+    toCluster
+} = require('../../src/utils/clusters');
+
+describe('resolveZoom', () => {
+    test.each([['0', 0], ['12', 12], ['22', 22]])('accepts zoom %p', (zoom, expected) => {
+        expect(resolveZoom(zoom)).toEqual({ zoom: expected });
+    });
+
+    test.each([[undefined], [''], ['-1'], ['23'], ['1.5'], ['abc']])('rejects zoom %p', (zoom) => {
+        expect(resolveZoom(zoom)).toEqual({ error: 'zoom must be an integer between 0 and 22' });
+    });
+});
+
+describe('gridCellDegrees', () => {
+    test('splits a zoom 0 tile into 8 cells per edge', () => {
+        expect(gridCellDegrees(0)).toBe(45);
+    });
+
+    test('halves the cell size with every zoom level', () => {
+        expect(gridCellDegrees(1)).toBe(22.5);
+        expect(gridCellDegrees(10)).toBe(45 / 1024);
+    });
+
+    test('always divides 360 evenly, so no cell straddles the antimeridian', () => {
+        for (let zoom = 0; zoom <= 22; zoom++) {
+            expect(Number.isInteger(360 / gridCellDegrees(zoom))).toBe(true);
+        }
+    });
+});
+
+describe('isClusteredZoom', () => {
+    test('clusters below zoom 16 and returns points from there up', () => {
+        expect(isClusteredZoom(0)).toBe(true);
+        expect(isClusteredZoom(15)).toBe(true);
+        expect(isClusteredZoom(16)).toBe(false);
+        expect(isClusteredZoom(22)).toBe(false);
+    });
+});
+
+describe('createClusterQuery', () => {
+    test('wraps the visible query and uses the given placeholders', () => {
+        const sql = createClusterQuery('SELECT latitude, longitude, mood, category FROM pings', '$8', '$9');
+        expect(sql).toContain('FROM (SELECT latitude, longitude, mood, category FROM pings) v');
+        expect(sql).toContain('floor(v.longitude / $8::float)::int AS cell_x');
+        expect(sql).toContain('floor(v.latitude / $8::float)::int AS cell_y');
+        expect(sql).toContain('LIMIT $9');
+    });
+});
+
+describe('toCluster', () => {
+    const row = {
+        cell_x: 2,
+        cell_y: -1,
+        count: 3,
+        latitude: -10.5,
+        longitude: 100.25,
+        moods: { happy: 2 },
+        categories: { skill: 3 }
+    };
+
+    test('converts a row into the API shape with its cell bounds', () => {
+        expect(toCluster(row, 0)).toEqual({
+            id: '0/2/-1',
+            count: 3,
+            latitude: -10.5,
+            longitude: 100.25,
+            moods: { happy: 2 },
+            categories: { skill: 3 },
+            bounds: { swLat: -45, swLng: 90, neLat: 0, neLng: 135 }
+        });
+    });
+
+    test('clamps cell bounds to the poles', () => {
+        expect(toCluster({ ...row, cell_y: -3 }, 0).bounds).toMatchObject({ swLat: -90, neLat: -90 });
+        expect(toCluster({ ...row, cell_y: -2 }, 0).bounds).toMatchObject({ swLat: -90, neLat: -45 });
+        expect(toCluster({ ...row, cell_y: 1 }, 0).bounds).toMatchObject({ swLat: 45, neLat: 90 });
+    });
+
+    test('has bounds that contain the points assigned to the cell', () => {
+        const zoom = 12;
+        const cellDegrees = gridCellDegrees(zoom);
+        const [latitude, longitude] = [52.5200066, -13.404954];
+        const cluster = toCluster({
+            ...row,
+            cell_x: Math.floor(longitude / cellDegrees),
+            cell_y: Math.floor(latitude / cellDegrees)
+        }, zoom);
+
+        expect(cluster.bounds.swLat).toBeLessThanOrEqual(latitude);
+        expect(cluster.bounds.neLat).toBeGreaterThan(latitude);
+        expect(cluster.bounds.swLng).toBeLessThanOrEqual(longitude);
+        expect(cluster.bounds.neLng).toBeGreaterThan(longitude);
+    });
+});
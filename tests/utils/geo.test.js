@@ -0,0 +1,178 @@
+const {
+    parseBoundingBox,
+    boundingBoxParams,
+    createWithinBoundsCondition,
+    distanceMeters,
+    snapToGrid
+} = require('../../src/utils/geo');
+
+// Helper function to build a parsed box without going through query strings
+const box = (swLat, swLng, neLat, neLng) => parseBoundingBox({ swLat, swLng, neLat, neLng });
+
+describe('distanceMeters', () => {
+    test('is zero for the same point', () => {
+        expect(distanceMeters(52.52, 13.4, 52.52, 13.4)).toBe(0);
+    });
+
+    test('measures a degree of latitude on the earthdistance sphere', () => {
+        expect(distanceMeters(0, 0, 1, 0)).toBeCloseTo(6378168 * Math.PI / 180, 6);
+    });
+
+    test('takes the short way across the antimeridian', () => {
+        expect(distanceMeters(0, 179.5, 0, -179.5)).toBeCloseTo(distanceMeters(0, 0, 0, 1), 6);
+    });
+});
+
+describe('parseBoundingBox', () => {
+    test('parses string coordinates', () => {
+        expect(parseBoundingBox({ swLat: '52.5', swLng: '13.3', neLat: '52.6', neLng: '13.5' })).toEqual({
+            swLat: 52.5,
+            swLng: 13.3,
+            neLat: 52.6,
+            neLng: 13.5,
+            crossesAntimeridian: false
+        });
+    });
+
+    test('treats a south-west longitude east of the north-east longitude as crossing the antimeridian', () => {
+        expect(box(-20, 170, -10, -170).crossesAntimeridian).toBe(true);
+    });
+
+    test('accepts the whole world', () => {
+        expect(box(-90, -180, 90, 180)).toEqual({
+            swLat: -90, swLng: -180, neLat: 90, neLng: 180, crossesAntimeridian: false
+        });
+    });
+
+    test('reports every missing or non-numeric coordinate', () => {
+        expect(parseBoundingBox({ swLat: 'x', neLat: '1' })).toEqual({
+            error: { swLat: 'Must be a number', swLng: 'Must be a number', neLng: 'Must be a number' }
+        });
+    });
+
+    test('reports coordinates out of range', () => {
+        expect(box(-91, -181, 91, 181)).toEqual({
+            error: {
+                swLat: 'Must be between -90 and 90',
+                swLng: 'Must be between -180 and 180',
+                neLat: 'Must be between -90 and 90',
+                neLng: 'Must be between -180 and 180'
+            }
+        });
+    });
+
+    test('rejects a box whose south-west corner is north of its north-east corner', () => {
+        expect(box(10, 0, 5, 1)).toEqual({ error: { swLat: 'Must not be north of neLat' } });
+    });
+});
+
+describe('boundingBoxParams', () => {
+    // Every corner of the box must fall inside the enclosing circle
+    const expectCornersInside = (parsed) => {
+        const [swLat, swLng, neLat, neLng, lat, lng, radiusMeters] = boundingBoxParams(parsed);
+        for (const [cornerLat, cornerLng] of [[swLat, swLng], [swLat, neLng], [neLat, swLng], [neLat, neLng]]) {
+            expect(distanceMeters(lat, lng, cornerLat, cornerLng)).toBeLessThan(radiusMeters);
+        }
+    };
+
+    test('starts with the box and centers the circle on it', () => {
+        const [swLat, swLng, neLat, neLng, lat, lng] = boundingBoxParams(box(52, 13, 53, 14));
+        expect([swLat, swLng, neLat, neLng]).toEqual([52, 13, 53, 14]);
+        expect(lat).toBe(52.5);
+        expect(lng).toBe(13.5);
+        expectCornersInside(box(52, 13, 53, 14));
+    });
+
+    test('pads the radius by a meter past the farthest corner', () => {
+        const params = boundingBoxParams(box(0, 0, 2, 2));
+        expect(params[6]).toBeCloseTo(distanceMeters(1, 1, 0, 0) + 1, 6);
+    });
+
+    test('centers a box crossing the antimeridian on the far side of the world', () => {
+        const [, , , , lat, lng] = boundingBoxParams(box(-20, 175, -10, -165));
+        expect(lat).toBe(-15);
+        expect(lng).toBe(-175);
+        expectCornersInside(box(-20, 175, -10, -165));
+    });
+
+    test('keeps the center inside [-180, 180] when it lands on the antimeridian', () => {
+        const [, , , , , lng] = boundingBoxParams(box(0, 170, 10, -170));
+        expect(lng).toBe(180);
+        expectCornersInside(box(0, 170, 10, -170));
+    });
+
+    test('encloses boxes near the poles', () => {
+        expectCornersInside(box(80, -30, 89, 30));
+        expectCornersInside(box(-89, 100, -80, -100));
+    });
+});
+
+describe('createWithinBoundsCondition', () => {
+    test('numbers placeholders from the first parameter', () => {
+        const sql = createWithinBoundsCondition('p', box(0, 0, 1, 1), 8);
+        expect(sql).toContain('p.latitude BETWEEN $8::float AND $10::float');
+        expect(sql).toContain('p.longitude BETWEEN $9::float AND $11::float');
+        expect(sql).toContain('ll_to_earth($12::float, $13::float), $14::float + 0');
+    });
+
+    test('splits the longitude range when the box crosses the antimeridian', () => {
+        const sql = createWithinBoundsCondition('p', box(0, 170, 1, -170));
+        expect(sql).toContain('(p.longitude >= $2::float OR p.longitude <= $4::float)');
+        expect(sql).not.toContain('BETWEEN $2::float');
+    });
+
+    test('tests a substituted position while pre-filtering on the stored one', () => {
+        const sql = createWithinBoundsCondition('p', box(0, 0, 1, 1), 1, {
+            latitude: 'pub.latitude',
+            longitude: 'pub.longitude',
+            paddingMeters: 500
+        });
+        expect(sql).toContain('ll_to_earth(p.latitude, p.longitude)');
+        expect(sql).toContain('$7::float + 500');
+        expect(sql).toContain('pub.latitude BETWEEN $1::float AND $3::float');
+        expect(sql).toContain('pub.longitude BETWEEN $2::float AND $4::float');
+    });
+});
+
+describe('snapToGrid', () => {
+    const GRID = 0.005;
+
+    test('moves a point to the center of its cell', () => {
+        expect(snapToGrid(52.5201, 13.4049, GRID)).toEqual({ lat: 52.5225, lng: 13.4025 });
+    });
+
+    test('snaps negative coordinates down to the cell below them', () => {
+        expect(snapToGrid(-33.8688, -151.2093, GRID)).toEqual({ lat: -33.8675, lng: -151.2075 });
+    });
+
+    test('maps every point in a cell to the same center', () => {
+        const center = snapToGrid(52.5201, 13.4049, GRID);
+        for (const [lat, lng] of [[52.52, 13.4], [52.5249, 13.4049], [52.5225, 13.4025], [52.52001, 13.40499]]) {
+            expect(snapToGrid(lat, lng, GRID)).toEqual(center);
+        }
+    });
+
+    test('puts neighboring points on either side of a cell edge in different cells', () => {
+        expect(snapToGrid(52.5199, 13.4, GRID)).not.toEqual(snapToGrid(52.5201, 13.4, GRID));
+    });
+
+    test('is stable when snapping a center again', () => {
+        for (const [lat, lng] of [[52.5201, 13.4049], [-33.8688, -151.2093], [0.0001, -0.0001], [89.999, 179.999]]) {
+            const center = snapToGrid(lat, lng, GRID);
+            expect(snapToGrid(center.lat, center.lng, GRID)).toEqual(center);
+        }
+    });
+
+    test('stays within half a cell of the true position', () => {
+        for (const [lat, lng] of [[52.5201, 13.4049], [-33.8688, -151.2093], [10.00001, 20.00499]]) {
+            const center = snapToGrid(lat, lng, GRID);
+            expect(Math.abs(center.lat - lat)).toBeLessThanOrEqual(GRID / 2);
+            expect(Math.abs(center.lng - lng)).toBeLessThanOrEqual(GRID / 2);
+        }
+    });
+
+    test('clamps centers of cells that reach past the poles or the antimeridian', () => {
+        expect(snapToGrid(85, 170, 40)).toEqual({ lat: 90, lng: 180 });
+        expect(snapToGrid(-85, -170, 40)).toEqual({ lat: -90, lng: -180 });
+    });
+});
@@ -0,0 +1,177 @@
+const {
+    resolveRadius,
+    resolveTimeWindow,
+    resolveOptionalTimeWindow,
+    resolveCursorTimeWindow,
+    resolvePingExpiry
+} = require('../../src/utils/nearbyParams');
+
+const NOW = new Date('2026-10-18T12:00:00.000Z');
+const RADIUS_KM = { default: 1, min: 0.1, max: 25 };
+const MAX_AGE_MINUTES = { default: 15, min: 1, max: 24 * 60 };
+const DURATION_MINUTES = { default: 15, min: 1, max: 24 * 60 };
+
+// Helper function to build the expected window for a max age in minutes
+const windowOf = (maxAgeMinutes) => ({
+    maxAgeMinutes,
+    since: new Date(NOW.getTime() - maxAgeMinutes * 60 * 1000)
+});
+
+describe('resolveRadius', () => {
+    test.each([[undefined], ['']])('uses the default when radius is %p', (radius) => {
+        expect(resolveRadius(radius, RADIUS_KM)).toEqual({ radiusKm: 1 });
+    });
+
+    test('parses kilometers', () => {
+        expect(resolveRadius('2.5', RADIUS_KM)).toEqual({ radiusKm: 2.5 });
+    });
+
+    test('clamps to the bounds', () => {
+        expect(resolveRadius('0.01', RADIUS_KM)).toEqual({ radiusKm: 0.1 });
+        expect(resolveRadius('500', RADIUS_KM)).toEqual({ radiusKm: 25 });
+    });
+
+    test('keeps the bounds themselves', () => {
+        expect(resolveRadius('0.1', RADIUS_KM)).toEqual({ radiusKm: 0.1 });
+        expect(resolveRadius('25', RADIUS_KM)).toEqual({ radiusKm: 25 });
+    });
+
+    test.each([['abc'], ['0'], ['-3']])('rejects %p', (radius) => {
+        expect(resolveRadius(radius, RADIUS_KM)).toEqual({ error: 'radius must be a number greater than 0 (kilometers)' });
+    });
+});
+
+describe('resolveTimeWindow', () => {
+    test('uses the default max age without since or maxAge', () => {
+        expect(resolveTimeWindow({}, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(15));
+        expect(resolveTimeWindow({ since: '', maxAge: '' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(15));
+    });
+
+    test('parses maxAge in minutes', () => {
+        expect(resolveTimeWindow({ maxAge: '60' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(60));
+    });
+
+    test('derives the max age from since', () => {
+        expect(resolveTimeWindow({ since: '2026-10-18T11:00:00.000Z' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(60));
+    });
+
+    test('prefers since over maxAge', () => {
+        expect(resolveTimeWindow({ since: '2026-10-18T11:30:00.000Z', maxAge: '60' }, MAX_AGE_MINUTES, NOW))
+            .toEqual(windowOf(30));
+    });
+
+    test('clamps maxAge to the bounds', () => {
+        expect(resolveTimeWindow({ maxAge: '0' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(1));
+        expect(resolveTimeWindow({ maxAge: '100000' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(24 * 60));
+    });
+
+    test('clamps since to the bounds, including a since in the future', () => {
+        expect(resolveTimeWindow({ since: '2026-10-01T00:00:00.000Z' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(24 * 60));
+        expect(resolveTimeWindow({ since: '2026-10-19T00:00:00.000Z' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(1));
+    });
+
+    test('rejects an unparseable since', () => {
+        expect(resolveTimeWindow({ since: 'yesterday' }, MAX_AGE_MINUTES, NOW)).toEqual({ error: 'since must be an ISO 8601 timestamp' });
+    });
+
+    test('rejects a non-numeric maxAge', () => {
+        expect(resolveTimeWindow({ maxAge: 'an hour' }, MAX_AGE_MINUTES, NOW)).toEqual({ error: 'maxAge must be a number of minutes' });
+    });
+});
+
+describe('resolveOptionalTimeWindow', () => {
+    test.each([
+        ['nothing is given', {}],
+        ['both are empty', { since: '', maxAge: '' }],
+        ['since is null', { since: null }]
+    ])('applies no window when %s', (label, query) => {
+        expect(resolveOptionalTimeWindow(query, MAX_AGE_MINUTES, NOW)).toEqual({ maxAgeMinutes: null, since: null });
+    });
+
+    test('resolves a requested window like resolveTimeWindow', () => {
+        expect(resolveOptionalTimeWindow({ maxAge: '60' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(60));
+        expect(resolveOptionalTimeWindow({ since: null, maxAge: '0' }, MAX_AGE_MINUTES, NOW)).toEqual(windowOf(1));
+    });
+
+    test('passes validation errors through', () => {
+        expect(resolveOptionalTimeWindow({ since: 'nope' }, MAX_AGE_MINUTES, NOW)).toEqual({ error: 'since must be an ISO 8601 timestamp' });
+    });
+});
+
+describe('resolvePingExpiry', () => {
+    // Helper function to build the expected expiry for a duration counted from createdAt
+    const expiryOf = (durationMinutes, createdAt = NOW) => ({
+        durationMinutes,
+        expiresAt: new Date(createdAt.getTime() + durationMinutes * 60 * 1000)
+    });
+
+    test('uses the default duration when nothing is requested', () => {
+        expect(resolvePingExpiry({}, DURATION_MINUTES, NOW, NOW)).toEqual(expiryOf(15));
+    });
+
+    test('accepts a duration in minutes', () => {
+        expect(resolvePingExpiry({ durationMinutes: 90 }, DURATION_MINUTES, NOW, NOW)).toEqual(expiryOf(90));
+    });
+
+    test('converts expiresAt into a duration from creation', () => {
+        expect(resolvePingExpiry({ expiresAt: '2026-10-18T13:00:00.000Z' }, DURATION_MINUTES, NOW, NOW)).toEqual(expiryOf(60));
+    });
+
+    test('clamps the duration to the bounds', () => {
+        expect(resolvePingExpiry({ durationMinutes: 0.5 }, DURATION_MINUTES, NOW, NOW)).toEqual(expiryOf(1));
+        expect(resolvePingExpiry({ durationMinutes: 100000 }, DURATION_MINUTES, NOW, NOW)).toEqual(expiryOf(24 * 60));
+        expect(resolvePingExpiry({ expiresAt: '2026-11-01T00:00:00.000Z' }, DURATION_MINUTES, NOW, NOW)).toEqual(expiryOf(24 * 60));
+    });
+
+    test('counts an edited expiry from creation, so edits cannot extend a ping past the maximum', () => {
+        const createdAt = new Date('2026-10-18T00:00:00.000Z');
+        expect(resolvePingExpiry({ durationMinutes: 24 * 60 }, DURATION_MINUTES, createdAt, NOW))
+            .toEqual(expiryOf(24 * 60, createdAt));
+        expect(resolvePingExpiry({ expiresAt: '2026-10-19T06:00:00.000Z' }, DURATION_MINUTES, createdAt, NOW))
+            .toEqual(expiryOf(24 * 60, createdAt));
+    });
+
+    test('lets a resolved expiry fall in the past when an edit shortens an old ping', () => {
+        const createdAt = new Date('2026-10-18T11:00:00.000Z');
+        const expiry = resolvePingExpiry({ durationMinutes: 30 }, DURATION_MINUTES, createdAt, NOW);
+        expect(expiry).toEqual(expiryOf(30, createdAt));
+        expect(expiry.expiresAt < NOW).toBe(true);
+    });
+
+    test('rejects both expiresAt and durationMinutes', () => {
+        expect(resolvePingExpiry({ expiresAt: '2026-10-18T13:00:00.000Z', durationMinutes: 60 }, DURATION_MINUTES, NOW, NOW))
+            .toEqual({ error: 'Provide either expiresAt or durationMinutes, not both' });
+    });
+
+    test.each([['tomorrow'], [1792357262691], [null]])('rejects expiresAt %p', (expiresAt) => {
+        expect(resolvePingExpiry({ expiresAt }, DURATION_MINUTES, NOW, NOW)).toEqual({ error: 'expiresAt must be an ISO 8601 timestamp' });
+    });
+
+    test.each([['2026-10-18T12:00:00.000Z'], ['2026-10-18T11:00:00.000Z']])('rejects expiresAt %p, which is not in the future', (expiresAt) => {
+        expect(resolvePingExpiry({ expiresAt }, DURATION_MINUTES, NOW, NOW)).toEqual({ error: 'expiresAt must be in the future' });
+    });
+
+    test.each([['60'], [0], [-5], [NaN], [null]])('rejects durationMinutes %p', (durationMinutes) => {
+        expect(resolvePingExpiry({ durationMinutes }, DURATION_MINUTES, NOW, NOW))
+            .toEqual({ error: 'durationMinutes must be a number greater than 0' });
+    });
+});
+
+describe('resolveCursorTimeWindow', () => {
+    test('keeps no window when the first page had none', () => {
+        expect(resolveCursorTimeWindow(null, NOW)).toEqual({ maxAgeMinutes: null, since: null });
+    });
+
+    test('reuses since exactly', () => {
+        expect(resolveCursorTimeWindow('2026-10-18T11:30:00.000Z', NOW)).toEqual({
+            maxAgeMinutes: 30,
+            since: new Date('2026-10-18T11:30:00.000Z')
+        });
+    });
+
+    test('does not clamp a window that has outgrown the maximum age during a slow scroll', () => {
+        const { since, maxAgeMinutes } = resolveCursorTimeWindow('2026-10-17T11:00:00.000Z', NOW);
+        expect(since).toEqual(new Date('2026-10-17T11:00:00.000Z'));
+        expect(maxAgeMinutes).toBe(25 * 60);
+    });
+});
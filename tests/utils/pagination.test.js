@@ -0,0 +1,130 @@
+const {
+    parseLimitOffset,
+    parseCursorPagination,
+    buildCursorPage,
+    encodeCursor,
+    toContainsPattern
+} = require('../../src/utils/pagination');
+
+const ID = '5f0c2a8e-3b1d-4c7a-9e2f-8a6b4d1c0e3f';
+const CREATED_AT = '2026-10-18 10:00:00.123456+00';
+const nearbySchema = { distance: 'number', createdAt: 'timestamp', id: 'uuid', since: 'timestamp?' };
+
+// Helper function to encode raw JSON the way a tampered cursor would be
+const rawCursor = (json) => Buffer.from(json).toString('base64url');
+
+describe('parseLimitOffset', () => {
+    test('defaults to 20 from the start', () => {
+        expect(parseLimitOffset({})).toEqual({ limit: 20, offset: 0 });
+    });
+
+    test('parses limit and offset', () => {
+        expect(parseLimitOffset({ limit: '5', offset: '10' })).toEqual({ limit: 5, offset: 10 });
+    });
+
+    test.each([['0'], ['101'], ['abc']])('rejects limit %s', (limit) => {
+        expect(parseLimitOffset({ limit })).toEqual({ error: 'limit must be an integer between 1 and 100' });
+    });
+
+    test('rejects a negative offset', () => {
+        expect(parseLimitOffset({ offset: '-1' })).toEqual({ error: 'offset must be a non-negative integer' });
+    });
+
+    test('honours custom bounds', () => {
+        expect(parseLimitOffset({}, { defaultLimit: 50, maxLimit: 200 })).toEqual({ limit: 50, offset: 0 });
+        expect(parseLimitOffset({ limit: '150' }, { maxLimit: 200 })).toEqual({ limit: 150, offset: 0 });
+    });
+});
+
+describe('parseCursorPagination', () => {
+    test('starts from the first page without a cursor', () => {
+        expect(parseCursorPagination({}, nearbySchema)).toEqual({ limit: 20, cursor: null });
+        expect(parseCursorPagination({ cursor: '' }, nearbySchema)).toEqual({ limit: 20, cursor: null });
+    });
+
+    test('round-trips a cursor built by buildCursorPage', () => {
+        const values = { distance: 12.5, createdAt: CREATED_AT, id: ID, since: '2026-10-18T09:00:00.000Z' };
+        const { nextCursor } = buildCursorPage([{}, {}], 1, () => values);
+        expect(parseCursorPagination({ cursor: nextCursor, limit: '10' }, nearbySchema)).toEqual({ limit: 10, cursor: values });
+    });
+
+    test('accepts null for nullable values', () => {
+        const values = { distance: 0, createdAt: CREATED_AT, id: ID, since: null };
+        expect(parseCursorPagination({ cursor: encodeCursor(values) }, nearbySchema).cursor).toEqual(values);
+    });
+
+    test.each([
+        ['timestamps with an offset', '2026-10-18 10:00:00+05:30'],
+        ['timestamps with a short offset', '2026-10-18 10:00:00-08'],
+        ['ISO timestamps', '2026-10-18T10:00:00.000Z']
+    ])('accepts %s', (label, createdAt) => {
+        const cursor = encodeCursor({ createdAt, id: ID });
+        expect(parseCursorPagination({ cursor }, { createdAt: 'timestamp', id: 'uuid' }).cursor).toEqual({ createdAt, id: ID });
+    });
+
+    test.each([
+        ['is not base64 JSON', 'not a cursor'],
+        ['is a JSON array', rawCursor('[]')],
+        ['is JSON null', rawCursor('null')],
+        ['misses a key', encodeCursor({ distance: 1, createdAt: CREATED_AT, id: ID })],
+        ['has values of the wrong type', rawCursor('{"distance":"x","createdAt":"nope","id":"1","since":null}')],
+        ['has a string distance', encodeCursor({ distance: '1', createdAt: CREATED_AT, id: ID, since: null })],
+        ['has a non-finite distance', rawCursor(`{"distance":1e999,"createdAt":"${CREATED_AT}","id":"${ID}","since":null}`)],
+        ['has a malformed id', encodeCursor({ distance: 1, createdAt: CREATED_AT, id: '1; DROP TABLE pings', since: null })],
+        ['has a null id', encodeCursor({ distance: 1, createdAt: CREATED_AT, id: null, since: null })],
+        ['has a date without a time', encodeCursor({ distance: 1, createdAt: '2026-10-18', id: ID, since: null })],
+        ['has a timestamp without an offset', encodeCursor({ distance: 1, createdAt: '2026-10-18 10:00:00', id: ID, since: null })],
+        ['has an impossible date', encodeCursor({ distance: 1, createdAt: '2026-02-30 10:00:00+00', id: ID, since: null })],
+        ['has an impossible time', encodeCursor({ distance: 1, createdAt: '2026-10-18 24:00:00+00', id: ID, since: null })],
+        ['has a number timestamp', encodeCursor({ distance: 1, createdAt: 1792317600123, id: ID, since: null })],
+        ['has an invalid since', encodeCursor({ distance: 1, createdAt: CREATED_AT, id: ID, since: 'yesterday' })]
+    ])('rejects a cursor that %s', (label, cursor) => {
+        expect(parseCursorPagination({ cursor }, nearbySchema)).toEqual({ error: 'cursor is invalid' });
+    });
+
+    test('rejects a cursor passed more than once', () => {
+        const cursor = encodeCursor({ distance: 1, createdAt: CREATED_AT, id: ID, since: null });
+        expect(parseCursorPagination({ cursor: [cursor, cursor] }, nearbySchema)).toEqual({ error: 'cursor is invalid' });
+    });
+
+    test('checks string values', () => {
+        const schema = { sortName: 'string', userId: 'uuid' };
+        expect(parseCursorPagination({ cursor: encodeCursor({ sortName: 'ada', userId: ID }) }, schema).cursor)
+            .toEqual({ sortName: 'ada', userId: ID });
+        expect(parseCursorPagination({ cursor: encodeCursor({ sortName: 7, userId: ID }) }, schema))
+            .toEqual({ error: 'cursor is invalid' });
+    });
+
+    test('rejects an invalid limit before looking at the cursor', () => {
+        expect(parseCursorPagination({ limit: '0', cursor: 'x' }, nearbySchema))
+            .toEqual({ error: 'limit must be an integer between 1 and 100' });
+    });
+
+    test('throws for an unknown schema type', () => {
+        const cursor = encodeCursor({ id: ID });
+        expect(() => parseCursorPagination({ cursor }, { id: 'guid' })).toThrow('Unknown cursor value type: guid');
+    });
+});
+
+describe('buildCursorPage', () => {
+    test('returns every row and no cursor on the last page', () => {
+        const rows = [{ id: 1 }, { id: 2 }];
+        expect(buildCursorPage(rows, 2, row => ({ id: row.id }))).toEqual({ rows, nextCursor: null });
+    });
+
+    test('trims the extra row and points the cursor at the last row kept', () => {
+        const page = buildCursorPage([{ id: 1 }, { id: 2 }, { id: 3 }], 2, row => ({ id: row.id }));
+        expect(page.rows).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(page.nextCursor).toBe(encodeCursor({ id: 2 }));
+    });
+});
+
+describe('toContainsPattern', () => {
+    test('wraps the term for a contains match', () => {
+        expect(toContainsPattern('ada')).toBe('%ada%');
+    });
+
+    test('escapes LIKE wildcards', () => {
+        expect(toContainsPattern('50%_off\\')).toBe('%50\\%\\_off\\\\%');
+    });
+});